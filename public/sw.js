@@ -0,0 +1,163 @@
+// ============== SERVICE WORKER ==============
+// App shell: network-first for pages, cache-first for hashed build assets.
+// League data (Sleeper + Python backend GETs): stale-while-revalidate, stamped with
+// X-Cached-At so the app can show how old the data on screen is.
+
+const CACHE_VERSION = 'v1'
+const SHELL_CACHE = `misfits-shell-${CACHE_VERSION}`
+const DATA_CACHE = `misfits-data-${CACHE_VERSION}`
+const SHELL_FILES = ['/', '/index.html', '/manifest.json', '/favicon.svg', '/logo.png']
+// Written by the build (see vite.config.js): every hashed bundle plus the odds worker
+const PRECACHE_MANIFEST = '/precache.json'
+// Served-from-cache responses older than this trigger an update message once fresh data lands
+const STALE_NOTIFY_MS = 60 * 1000
+
+async function buildFiles() {
+  try {
+    const response = await fetch(PRECACHE_MANIFEST, { cache: 'no-store' })
+    return response.ok ? await response.json() : []
+  } catch (e) {
+    return []
+  }
+}
+
+// The first visit loads the bundles before this worker controls the page, so cache them
+// here; otherwise a single online visit wouldn't be enough to open the app offline.
+// Runs again after each page load to pick up a new build's bundles.
+async function precache({ refreshShell = true } = {}) {
+  const cache = await caches.open(SHELL_CACHE)
+  const assets = await buildFiles()
+  // Hashed bundles never change, so only fetch the ones not cached yet
+  const uncached = (await Promise.all(assets.map(async url => (await cache.match(url)) ? null : url))).filter(Boolean)
+  await Promise.all([...(refreshShell ? SHELL_FILES : []), ...uncached].map(url => cache.add(url).catch(() => null)))
+  // Bundles from earlier builds are never requested again
+  if (assets.length) {
+    const keys = await cache.keys()
+    await Promise.all(keys
+      .filter(req => new URL(req.url).pathname.startsWith('/assets/') && !assets.includes(new URL(req.url).pathname))
+      .map(req => cache.delete(req)))
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()))
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== SHELL_CACHE && k !== DATA_CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  )
+})
+
+// Sleeper's API plus whatever backend the user configured (all of its routes live under /api/)
+const isDataRequest = (url) =>
+  url.hostname === 'api.sleeper.app' || (url.origin !== self.location.origin && url.pathname.startsWith('/api/'))
+
+// The player dump is cached in IndexedDB by the app and is too large to duplicate here
+const isUncached = (url) => url.pathname.endsWith('/players/nfl')
+
+async function stamp(response) {
+  const headers = new Headers(response.headers)
+  headers.set('X-Cached-At', new Date().toISOString())
+  const body = await response.blob()
+  return new Response(body, { status: response.status, statusText: response.statusText, headers })
+}
+
+async function notifyClients(url) {
+  const clients = await self.clients.matchAll({ type: 'window' })
+  clients.forEach(client => client.postMessage({ type: 'data-updated', url }))
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(DATA_CACHE)
+  const cached = await cache.match(event.request)
+
+  const revalidate = fetch(event.request).then(async (response) => {
+    if (response.ok) {
+      await cache.put(event.request, await stamp(response.clone()))
+      const cachedAt = cached && Date.parse(cached.headers.get('X-Cached-At'))
+      if (cachedAt && Date.now() - cachedAt > STALE_NOTIFY_MS) notifyClients(event.request.url)
+    }
+    return response
+  })
+
+  if (cached) {
+    // Keep the worker alive until the background update finishes
+    event.waitUntil(revalidate.catch(() => null))
+    return cached
+  }
+  return revalidate
+}
+
+// Live polling asks for cache: 'no-store'; give it the network, but still keep the copy for offline use
+async function networkFirstData(request) {
+  const cache = await caches.open(DATA_CACHE)
+  try {
+    const response = await fetch(request.url, { cache: 'no-store' })
+    if (response.ok) await cache.put(request.url, await stamp(response.clone()))
+    return response
+  } catch (e) {
+    const cached = await cache.match(request.url)
+    if (cached) return cached
+    throw e
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request)
+  if (cached) return cached
+  const response = await fetch(request)
+  // Cross-origin <img> loads come back opaque; they're still fine to replay
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(SHELL_CACHE)
+    cache.put(request, response.clone())
+  }
+  return response
+}
+
+async function networkFirstPage(event) {
+  const { request } = event
+  try {
+    const response = await fetch(request)
+    // Never let a 404 or server error replace the cached shell
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE)
+      cache.put('/index.html', response.clone())
+      event.waitUntil(precache({ refreshShell: false }).catch(() => null))
+    }
+    return response
+  } catch (e) {
+    return (await caches.match('/index.html')) || (await caches.match('/'))
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(event))
+  } else if (isDataRequest(url) && !isUncached(url)) {
+    event.respondWith(request.cache === 'no-store' ? networkFirstData(request) : staleWhileRevalidate(event))
+  } else if (url.origin === self.location.origin && url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request))
+  } else if (url.hostname === 'sleepercdn.com') {
+    event.respondWith(cacheFirst(request))
+  }
+})
+
+// Alert notifications open (or focus) the app on the notification center
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  const url = event.notification.data?.url || '/'
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+      const client = clients.find(c => new URL(c.url).origin === self.location.origin)
+      if (client) return client.focus().then(() => client.navigate(url)).catch(() => null)
+      return self.clients.openWindow(url)
+    })
+  )
+})
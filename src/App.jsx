@@ -1,14 +1,74 @@
-import React, { useState, useEffect, useCallback } from 'react'
-import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, AreaChart, Area } from 'recharts'
-import { Trophy, TrendingUp, Users, MessageCircle, Award, ChevronRight, Send, User, RefreshCw, Crown } from 'lucide-react'
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, AreaChart, Area, CartesianGrid } from 'recharts'
+import { Trophy, TrendingUp, Users, MessageCircle, Award, ChevronRight, Send, User, RefreshCw, Crown, Settings2, Swords, Repeat, LayoutGrid, ListOrdered, Wallet, Bell } from 'lucide-react'
+import { winEquivalents, rankStandings } from './standings.js'
 
 // ============== CONFIGURATION ==============
-// 🟢 CONNECTED TO YOUR REPLIT BRAIN
-const API_URL = "https://06d6146e-e71d-4d54-9582-e6ad83246287-00-300von4iznsch.picard.replit.dev:8080"
-const LEAGUE_ID = "1258131568132624384"
+// Defaults for the home league. Everything here can be changed at runtime from
+// Settings or with ?league=…&source=sleeper|backend&api=…&replay=1|0 and is kept in localStorage.
+const DEFAULT_LEAGUE = {
+  id: "1258131568132624384",
+  name: 'League of Misfits',
+  // 🟢 'backend' USES PYTHON LOGIC (REPLIT BRAIN), 'sleeper' GOES DIRECT
+  source: 'backend',
+  apiUrl: "https://06d6146e-e71d-4d54-9582-e6ad83246287-00-300von4iznsch.picard.replit.dev:8080"
+}
+const CONFIG_STORAGE_KEY = 'misfits:config'
+const SOURCES = ['sleeper', 'backend']
+// Seconds between live score polls during game windows; 0 turns live mode off
+const DEFAULT_LIVE_INTERVAL = 60
+// AI chat: 'backend' proxies through the Python server, 'local' is any OpenAI-compatible URL, 'stub' works offline
+const DEFAULT_CHAT = { provider: 'backend', localUrl: 'http://localhost:11434/v1', model: 'llama3.1' }
+// Which alert rules are on, and whether they also go out as browser notifications
+const DEFAULT_ALERTS = { browser: false, rules: { close_game: true, lead_change: true, new_trade: true, awards_posted: true, standings_drop: true } }
+
+function saveConfig(config) {
+  try { localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(config)) } catch (e) { console.error('Could not save config', e) }
+}
+
+function loadConfig() {
+  let stored = null
+  try { stored = JSON.parse(localStorage.getItem(CONFIG_STORAGE_KEY)) } catch (e) { stored = null }
+  let config = stored?.leagues?.length ? stored : { activeId: DEFAULT_LEAGUE.id, leagues: [DEFAULT_LEAGUE] }
+  
+  // Query string overrides are applied once, saved, then stripped so they don't pin the league forever
+  const params = new URLSearchParams(window.location.search)
+  const leagueId = params.get('league')
+  const source = params.get('source')
+  const api = params.get('api')
+  const replay = params.get('replay')
+  if (leagueId || source || api || replay) {
+    const id = leagueId || config.activeId
+    const existing = config.leagues.find(l => l.id === id) || { id, name: `League ${id}`, source: 'sleeper', apiUrl: '' }
+    const league = { ...existing }
+    if (SOURCES.includes(source)) league.source = source
+    if (api) league.apiUrl = api
+    config = { ...config, activeId: id, leagues: [...config.leagues.filter(l => l.id !== id), league] }
+    if (replay) config.replay = replay === '1'
+    saveConfig(config)
+    for (const key of ['league', 'source', 'api', 'replay']) params.delete(key)
+    const qs = params.toString()
+    window.history.replaceState(null, '', `${window.location.pathname}${qs ? `?${qs}` : ''}${window.location.hash}`)
+  }
+  return config
+}
+
+let activeConfig = loadConfig()
 
-// 🟢 SET TO TRUE TO USE PYTHON LOGIC
-const USE_BACKEND_API = true 
+const activeLeague = () => activeConfig.leagues.find(l => l.id === activeConfig.activeId) || activeConfig.leagues[0]
+const isBackendSource = () => activeLeague().source === 'backend' && !!activeLeague().apiUrl
+// Replayed fixtures never change, so there is nothing to poll
+const liveInterval = () => activeConfig.replay ? 0 : activeConfig.liveInterval ?? DEFAULT_LIVE_INTERVAL
+const chatSettings = () => ({ ...DEFAULT_CHAT, ...activeConfig.chat })
+const alertSettings = () => ({ ...DEFAULT_ALERTS, ...activeConfig.alerts, rules: { ...DEFAULT_ALERTS.rules, ...activeConfig.alerts?.rules } })
+const replayMode = () => !!activeConfig.replay
+// Week the active league is rewound to while replaying; null shows everything that was recorded
+const timeTravelWeek = () => activeConfig.replay ? activeConfig.timeTravelWeek ?? null : null
+
+function setConfig(config) {
+  activeConfig = config
+  saveConfig(config)
+}
 
 const colors = {
   navy: '#1e3a5f',
@@ -24,358 +84,3878 @@ const colors = {
   warning: '#ffa502'
 }
 
-// ============== API LAYER ==============
-const sleeperApi = {
-  base: 'https://api.sleeper.app/v1',
-  async get(endpoint) {
+// ============== OFFLINE CACHE ==============
+// The service worker stamps responses it serves from cache with X-Cached-At.
+// Track the oldest one seen since the last refresh so the UI can say how old the data is.
+let dataAsOf = null
+const freshnessListeners = new Set()
+
+function noteFreshness(res) {
+  const cachedAt = Date.parse(res.headers.get('X-Cached-At'))
+  if (!cachedAt || (dataAsOf && dataAsOf <= cachedAt)) return
+  dataAsOf = cachedAt
+  freshnessListeners.forEach(fn => fn(dataAsOf))
+}
+
+function resetFreshness() {
+  dataAsOf = null
+  freshnessListeners.forEach(fn => fn(dataAsOf))
+}
+
+// ============== DATA CLIENT ==============
+// One fetch path for Sleeper and the backend: short in-memory cache per URL, shared
+// in-flight requests, retries with backoff, and DataErrors the pages can show.
+const SOURCE_LABELS = { sleeper: 'Sleeper', backend: 'Python backend' }
+const DEFAULT_TTL = 60 * 1000
+const REQUEST_TIMEOUT = 10 * 1000
+const RETRY_DELAYS = [500, 1500]
+
+class DataError extends Error {
+  constructor(kind, { source, endpoint, status = null, cause = null }) {
+    const label = SOURCE_LABELS[source] || source
+    const messages = {
+      network: `${label} unreachable`,
+      timeout: `${label} timed out`,
+      http: `${label} error (HTTP ${status})`,
+      parse: `${label} sent a bad response`,
+      config: `${label} is not configured`,
+      fixture: `${label} response missing from the fixture file`
+    }
+    super(messages[kind] || `${label} request failed`)
+    this.name = 'DataError'
+    this.kind = kind
+    this.source = source
+    this.endpoint = endpoint
+    this.status = status
+    this.cause = cause
+  }
+  
+  get retryable() {
+    return this.kind === 'network' || this.kind === 'timeout' || (this.kind === 'http' && (this.status >= 500 || this.status === 429))
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// For side data a page can live without
+const optional = (promise) => promise.catch(e => {
+  console.error(e)
+  return null
+})
+
+const dataClient = {
+  cache: new Map(),
+  inFlight: new Map(),
+  
+  clear() {
+    this.cache.clear()
+  },
+  
+  async fetchOnce(source, url, endpoint, fresh) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT)
+    let res
+    try {
+      // fresh: skip the service worker's stale copy (live polling)
+      res = await fetch(url, { signal: controller.signal, ...(fresh ? { cache: 'no-store' } : {}) })
+    } catch (e) {
+      throw new DataError(e.name === 'AbortError' ? 'timeout' : 'network', { source, endpoint, cause: e })
+    } finally {
+      clearTimeout(timer)
+    }
+    if (!res.ok) throw new DataError('http', { source, endpoint, status: res.status })
+    noteFreshness(res)
+    let data
     try {
-      const res = await fetch(`${this.base}${endpoint}`)
-      if (!res.ok) throw new Error(`HTTP ${res.status}`)
-      return await res.json()
+      data = await res.json()
     } catch (e) {
-      console.error(`Sleeper API Error: ${endpoint}`, e)
-      return null
+      throw new DataError('parse', { source, endpoint, cause: e })
+    }
+    if (fixtures.recording) fixtures.record(source, endpoint, data)
+    return data
+  },
+  
+  async fetchWithRetry(source, url, endpoint, fresh, retries) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.fetchOnce(source, url, endpoint, fresh)
+      } catch (e) {
+        if (!e.retryable || attempt >= retries) {
+          console.error(`${SOURCE_LABELS[source]} API Error: ${endpoint}`, e)
+          throw e
+        }
+        await sleep(RETRY_DELAYS[attempt])
+      }
     }
   },
+  
+  // ttl: how long a cached copy is good for (0 = never cache); fresh: ignore the cache entirely
+  get(source, url, endpoint, { fresh = false, ttl = DEFAULT_TTL, retries = RETRY_DELAYS.length } = {}) {
+    if (replayMode()) return fixtures.serve(source, endpoint)
+    const hit = this.cache.get(url)
+    if (!fresh && hit && Date.now() - hit.at < ttl) return Promise.resolve(hit.data)
+    // A fresh request can't share one the service worker may answer from its cache
+    const key = fresh ? `fresh:${url}` : url
+    if (this.inFlight.has(key)) return this.inFlight.get(key)
+    
+    const request = this.fetchWithRetry(source, url, endpoint, fresh, retries)
+      .then(data => {
+        if (ttl > 0) this.cache.set(url, { data, at: Date.now() })
+        return data
+      })
+      .finally(() => this.inFlight.delete(key))
+    this.inFlight.set(key, request)
+    return request
+  }
+}
+
+// ============== API LAYER ==============
+const sleeperApi = {
+  base: 'https://api.sleeper.app/v1',
+  get(endpoint, options) {
+    return dataClient.get('sleeper', `${this.base}${endpoint}`, endpoint, options)
+  },
   nflState: () => sleeperApi.get('/state/nfl'),
-  league: () => sleeperApi.get(`/league/${LEAGUE_ID}`),
-  users: () => sleeperApi.get(`/league/${LEAGUE_ID}/users`),
-  rosters: () => sleeperApi.get(`/league/${LEAGUE_ID}/rosters`),
-  matchups: (week) => sleeperApi.get(`/league/${LEAGUE_ID}/matchups/${week}`),
+  league: (leagueId = activeLeague().id) => sleeperApi.get(`/league/${leagueId}`),
+  users: (leagueId = activeLeague().id) => sleeperApi.get(`/league/${leagueId}/users`),
+  rosters: (leagueId = activeLeague().id) => sleeperApi.get(`/league/${leagueId}/rosters`),
+  matchups: (week, leagueId = activeLeague().id, options) => sleeperApi.get(`/league/${leagueId}/matchups/${week}`, options),
+  drafts: (leagueId = activeLeague().id) => sleeperApi.get(`/league/${leagueId}/drafts`),
+  draftPicks: (draftId) => sleeperApi.get(`/draft/${draftId}/picks`),
+  tradedPicks: (leagueId = activeLeague().id) => sleeperApi.get(`/league/${leagueId}/traded_picks`),
+  transactions: (week, leagueId = activeLeague().id) => sleeperApi.get(`/league/${leagueId}/transactions/${week}`),
+  // Several MB and cached in IndexedDB, so not worth holding in memory too
+  players: () => sleeperApi.get('/players/nfl', { ttl: 0 }),
+  winnersBracket: (leagueId = activeLeague().id) => sleeperApi.get(`/league/${leagueId}/winners_bracket`),
+  // Outside the documented v1 API, so callers treat it as optional
+  schedule: (season, options) => dataClient.get('sleeper', `https://api.sleeper.app/schedule/nfl/regular/${season}`, `/schedule/nfl/regular/${season}`, options),
 }
 
 const backendApi = {
-  async get(endpoint) {
-    try {
-      // Remove trailing slash if present in API_URL to avoid double slashes
-      const baseUrl = API_URL.endsWith('/') ? API_URL.slice(0, -1) : API_URL;
-      const res = await fetch(`${baseUrl}${endpoint}`)
-      if (!res.ok) throw new Error(`HTTP ${res.status}`)
-      return await res.json()
-    } catch (e) {
-      console.error(`Backend API Error: ${endpoint}`, e)
-      return null
-    }
+  get(endpoint, options) {
+    const { apiUrl } = activeLeague()
+    if (!apiUrl) return Promise.reject(new DataError('config', { source: 'backend', endpoint }))
+    // Remove trailing slash if present in apiUrl to avoid double slashes
+    const baseUrl = apiUrl.endsWith('/') ? apiUrl.slice(0, -1) : apiUrl
+    // Sleeper is the fallback, so fail fast instead of backing off against a sleeping server
+    return dataClient.get('backend', `${baseUrl}${endpoint}`, endpoint, { retries: 0, ...options })
   },
   state: () => backendApi.get('/api/state'),
   standings: () => backendApi.get('/api/standings'),
-  matchups: (week) => backendApi.get(`/api/matchups/${week}`),
-  awards: (week) => backendApi.get(`/api/awards/${week}`),
-  weeklyHistory: () => backendApi.get('/api/history/weekly'),
+  matchups: (week, options) => backendApi.get(`/api/matchups/${week}`, options),
 }
 
-// ============== DATA HOOKS ==============
-function useLeagueData() {
-  const [data, setData] = useState({ 
-    loading: true, 
-    error: null, 
-    nflState: null, 
-    standings: [], 
-    currentWeek: 1, 
-    userMap: {}, 
-    rosters: [] 
+// ============== SLEEPER HELPERS ==============
+// Sleeper matchup entries are one row per roster: { roster_id, matchup_id, points, starters, players, players_points }
+const entryScore = (e) => e.custom_points ?? e.points ?? 0
+const rosterPoints = (r) => (r.settings?.fpts || 0) + (r.settings?.fpts_decimal || 0) / 100
+
+function buildUserMap(users) {
+  const userMap = {}
+  users.forEach(u => { 
+    userMap[u.user_id] = { 
+      name: u.display_name || u.username || 'Unknown', 
+      avatar: u.avatar ? `https://sleepercdn.com/avatars/thumbs/${u.avatar}` : null 
+    } 
+  })
+  return userMap
+}
+
+// roster_id -> team, so matchup entries can be resolved to names
+function buildRosterMap(rosters, userMap) {
+  const rosterMap = {}
+  rosters.forEach(r => {
+    rosterMap[r.roster_id] = {
+      name: userMap[r.owner_id]?.name || `Team ${r.roster_id}`,
+      avatar: userMap[r.owner_id]?.avatar,
+      ownerId: r.owner_id
+    }
+  })
+  return rosterMap
+}
+
+// A week has been played once anybody has scored; nobody on the board means it hasn't started
+const weekPlayed = (entries) => Array.isArray(entries) && entries.some(e => entryScore(e) > 0)
+
+// Index per-week entry arrays (week 1 first) by week, keeping only weeks that were actually played
+function playedWeeks(weekEntries) {
+  const weeks = {}
+  weekEntries.forEach((entries, i) => {
+    if (weekPlayed(entries)) weeks[i + 1] = entries
+  })
+  return weeks
+}
+
+// During the regular season the current week is still in progress
+const lastCompletedWeek = (nflState, currentWeek) => nflState?.season_type === 'regular' ? currentWeek - 1 : currentWeek
+
+// Backend payloads only carry team names; match them back to Sleeper rosters
+const rosterIdByName = (rosterMap, name) => {
+  const match = Object.entries(rosterMap).find(([, r]) => r.name === name)
+  return match ? Number(match[0]) : null
+}
+
+// Turn one roster's entry into a UI side: team name/avatar plus per-player scoring
+const matchupSide = (e, rosterMap) => ({
+  rosterId: e.roster_id,
+  team: rosterMap[e.roster_id]?.name || `Team ${e.roster_id}`,
+  avatar: rosterMap[e.roster_id]?.avatar || null,
+  score: entryScore(e),
+  starters: e.starters || [],
+  startersPoints: e.starters_points || [],
+  playersPoints: e.players_points || {}
+})
+
+// Pair entries sharing a matchup_id into the flat {team1, score1, team2, score2} shape.
+// Entries without an opponent (null matchup_id, odd league sizes) become byes.
+function pairMatchups(entries, rosterMap) {
+  if (!Array.isArray(entries)) return []
+  const groups = {}
+  const byes = []
+  entries.forEach(e => {
+    if (e.matchup_id == null) byes.push([e])
+    else (groups[e.matchup_id] = groups[e.matchup_id] || []).push(e)
   })
   
-  const refresh = useCallback(async () => {
-    setData(d => ({ ...d, loading: true, error: null }))
+  return [
+    ...Object.keys(groups).sort((a, b) => a - b).map(id => groups[id]),
+    ...byes
+  ].map(([a, b]) => {
+    const side1 = matchupSide(a, rosterMap)
+    const side2 = b ? matchupSide(b, rosterMap) : null
+    return {
+      matchupId: a.matchup_id ?? null,
+      bye: !side2,
+      team1: side1.team,
+      score1: side1.score,
+      team2: side2 ? side2.team : 'BYE',
+      score2: side2 ? side2.score : 0,
+      side1,
+      side2
+    }
+  })
+}
+
+// ============== DOMAIN MODEL ==============
+// Both sources are normalized into the same shapes so pages never care where data came from:
+//   standings row: { rank, rosterId, ownerId, name, avatar, wins, losses, ties, pf, pa, streak }
+//                  plus division / gamesBack / clinch fields from annotateStandings()
+//   matchup:       pairMatchups() output
+
+// Unranked rows straight from roster settings; rankStandings() puts them in order
+function buildSleeperStandings(rosters, userMap) {
+  return rosters
+    .map(r => ({ 
+      name: userMap[r.owner_id]?.name || `Team ${r.roster_id}`, 
+      avatar: userMap[r.owner_id]?.avatar, 
+      wins: r.settings?.wins || 0, 
+      losses: r.settings?.losses || 0, 
+      ties: r.settings?.ties || 0, 
+      pf: rosterPoints(r), 
+      pa: (r.settings?.fpts_against || 0) + (r.settings?.fpts_against_decimal || 0) / 100, 
+      rosterId: r.roster_id, 
+      ownerId: r.owner_id, 
+      streak: r.metadata?.streak || '' 
+    }))
+}
+
+// Backend rows arrive already ranked, with points_for/points_against
+function normalizeBackendStandings(rows, rosterMap) {
+  return rows.map((s, i) => {
+    const rosterId = s.roster_id ?? rosterIdByName(rosterMap, s.name)
+    return {
+      name: s.name,
+      avatar: s.avatar ?? rosterMap[rosterId]?.avatar ?? null,
+      wins: s.wins || 0,
+      losses: s.losses || 0,
+      ties: s.ties || 0,
+      pf: s.points_for ?? s.pf ?? 0,
+      pa: s.points_against ?? s.pa ?? 0,
+      rosterId,
+      ownerId: s.owner_id ?? rosterMap[rosterId]?.ownerId,
+      streak: s.streak || '',
+      rank: i + 1
+    }
+  })
+}
+
+// Backend matchups nest each side as { team, score, roster_id? }
+function normalizeBackendMatchups(data, rosterMap) {
+  if (!Array.isArray(data)) return []
+  const side = (t) => {
+    const rosterId = t.roster_id ?? rosterIdByName(rosterMap, t.team)
+    return { rosterId, team: t.team, avatar: rosterMap[rosterId]?.avatar || null, score: t.score || 0, starters: [], startersPoints: [], playersPoints: {} }
+  }
+  return data.map((m, i) => {
+    const side1 = side(m.team1)
+    const side2 = side(m.team2)
+    return { matchupId: m.matchup_id ?? i + 1, bye: false, team1: side1.team, score1: side1.score, team2: side2.team, score2: side2.score, side1, side2 }
+  })
+}
+
+// ============== SOURCE FALLBACK ==============
+// The backend is preferred when configured, but any request it can't serve drops to direct Sleeper.
+// After a failure the backend is skipped for a while so every page isn't stuck waiting on it.
+const BACKEND_RETRY_MS = 2 * 60 * 1000
+const backendHealth = { downAt: 0, error: null }
+
+const resetBackendHealth = () => {
+  backendHealth.downAt = 0
+  backendHealth.error = null
+}
+
+// Resolves to { value, source, fallback } where fallback is the backend error that forced Sleeper, if any
+async function withFallback({ backend, sleeper }) {
+  if (!isBackendSource()) return { value: await sleeper(), source: 'sleeper', fallback: null }
+  if (Date.now() - backendHealth.downAt > BACKEND_RETRY_MS) {
     try {
-      if (USE_BACKEND_API) {
-        // --- PATH A: USE PYTHON BRAIN ---
-        const [state, standingsData] = await Promise.all([
-          backendApi.state(),
-          backendApi.standings()
-        ])
-        
-        if (!state || !standingsData) throw new Error('Failed to connect to Python Brain')
-        
-        // Map standings for UI compatibility
-        const standings = standingsData.map((s, i) => ({
-          ...s,
-          rank: i + 1,
-          pf: s.points_for // Ensure compatibility with existing components
-        }));
-
-        setData({ 
-          loading: false, 
-          error: null, 
-          nflState: state, 
-          standings, 
-          currentWeek: state.week || 1, 
-          userMap: {}, // Not strictly needed for backend path
-          rosters: [] 
-        })
-      } else {
-        // --- PATH B: DIRECT SLEEPER (Fallback) ---
-        const [nflState, users, rosters] = await Promise.all([
-          sleeperApi.nflState(), 
-          sleeperApi.users(), 
-          sleeperApi.rosters()
-        ])
-        if (!nflState || !users || !rosters) throw new Error('Failed to fetch league data')
-        
-        const userMap = {}
-        users.forEach(u => { 
-          userMap[u.user_id] = { 
-            name: u.display_name || u.username || 'Unknown', 
-            avatar: u.avatar ? `https://sleepercdn.com/avatars/thumbs/${u.avatar}` : null 
-          } 
-        })
-        
-        const standings = rosters
-          .map(r => ({ 
-            name: userMap[r.owner_id]?.name || `Team ${r.roster_id}`, 
-            avatar: userMap[r.owner_id]?.avatar, 
-            wins: r.settings?.wins || 0, 
-            losses: r.settings?.losses || 0, 
-            pf: (r.settings?.fpts || 0) + (r.settings?.fpts_decimal || 0) / 100, 
-            pa: (r.settings?.fpts_against || 0) + (r.settings?.fpts_against_decimal || 0) / 100, 
-            rosterId: r.roster_id, 
-            ownerId: r.owner_id, 
-            streak: r.metadata?.streak || '' 
-          }))
-          .sort((a, b) => b.wins !== a.wins ? b.wins - a.wins : b.pf - a.pf)
-          .map((t, i) => ({ ...t, rank: i + 1 }))
-        
-        setData({ 
-          loading: false, 
-          error: null, 
-          nflState, 
-          standings, 
-          currentWeek: nflState.week || 1, 
-          userMap, 
-          rosters 
-        })
-      }
-    } catch (e) { 
-      setData(d => ({ ...d, loading: false, error: e.message })) 
+      const value = await backend()
+      resetBackendHealth()
+      return { value, source: 'backend', fallback: null }
+    } catch (e) {
+      console.warn('Backend failed, falling back to Sleeper', e)
+      backendHealth.downAt = Date.now()
+      backendHealth.error = e
     }
-  }, [])
-  
-  useEffect(() => { refresh() }, [refresh])
-  return { ...data, refresh }
+  }
+  return { value: await sleeper(), source: 'sleeper', fallback: backendHealth.error }
 }
 
-function useMatchups(week) {
-  const [matchups, setMatchups] = useState([])
-  const [loading, setLoading] = useState(true)
+// Per-week loaders shared by the hooks and the recap card
+// Direct Sleeper: pair raw roster entries by matchup_id
+const fetchSleeperMatchups = async (week, rosterMap, fresh = false) => pairMatchups(await sleeperApi.matchups(week, undefined, { fresh }), rosterMap)
+
+const fetchWeekMatchups = (week, rosterMap, fresh = false) => withFallback({
+  backend: async () => normalizeBackendMatchups(await backendApi.matchups(week, { fresh }), rosterMap),
+  sleeper: () => fetchSleeperMatchups(week, rosterMap, fresh)
+})
+
+// Awards always come from the rules engine, which needs Sleeper's per-player scoring
+const fetchWeekAwards = async (week, rosterMap) => computeWeeklyAwards(week, await sleeperApi.matchups(week), rosterMap)
+
+// ============== STANDINGS ==============
+// League format, head-to-head records and the clinch picture. The seeding order itself
+// lives in standings.js so the playoff odds worker ranks simulated seasons the same way.
+
+function leagueFormat(league, teamCount) {
+  const settings = league?.settings || {}
+  const divisions = settings.divisions || 0
+  const divisionNames = {}
+  for (let d = 1; d <= divisions; d++) divisionNames[d] = league?.metadata?.[`division_${d}`] || `Division ${d}`
+  return {
+    playoffTeams: Math.min(settings.playoff_teams || 6, teamCount || Infinity),
+    playoffWeekStart: settings.playoff_week_start || 15,
+    medianGame: settings.league_average_match === 1,
+    divisions: divisions > 1 ? divisions : 0,
+    divisionNames
+  }
+}
+
+// { [rosterId]: division } from Sleeper roster settings
+const divisionsOf = (rosters) => Object.fromEntries(rosters.map(r => [r.roster_id, r.settings?.division ?? null]))
+
+// Regular-season games the table is built from: one per week, two with a median game
+const regularSeasonGames = (format) => (format.playoffWeekStart - 1) * (format.medianGame ? 2 : 1)
+
+// { [rosterA]: { [rosterB]: { wins, losses, ties } } } from A's side
+function headToHead(weeks) {
+  const h2h = {}
+  const add = (a, b, key) => {
+    const row = (h2h[a] = h2h[a] || {})
+    const rec = (row[b] = row[b] || { wins: 0, losses: 0, ties: 0 })
+    rec[key]++
+  }
+  Object.values(weeks).forEach(entries => {
+    pairMatchups(entries, {}).forEach(m => {
+      if (m.bye) return
+      const [a, b] = [m.side1.rosterId, m.side2.rosterId]
+      if (m.score1 === m.score2) { add(a, b, 'ties'); add(b, a, 'ties') }
+      else if (m.score1 > m.score2) { add(a, b, 'wins'); add(b, a, 'losses') }
+      else { add(b, a, 'wins'); add(a, b, 'losses') }
+    })
+  })
+  return h2h
+}
+
+// Wins (or rival losses) still needed before `ahead` is strictly clear of `behind`'s best finish
+const winsToClear = (ahead, behind) => Math.max(0, Math.floor(behind - ahead) + 1)
+
+// Clinch and elimination for one team of ranked rows (with divisions attached). The Standings
+// marks and the ODDS tab's magic numbers both come from here, so they can't disagree.
+// Conservative: a tie with a rival never counts as safe.
+//   magic: for a team in a playoff spot, wins + rival losses until it clinches;
+//          for a team outside, until it is eliminated. null when it can't happen.
+function clinchStatus(t, rows, format) {
+  const totalGames = regularSeasonGames(format)
+  const best = (o) => winEquivalents(o) + Math.max(0, totalGames - o.wins - o.losses - o.ties)
+  const others = rows.filter(o => o.rosterId !== t.rosterId)
+  const rivals = others.filter(o => o.division === t.division)
+  const otherDivisions = Object.keys(format.divisionNames).map(Number).filter(d => d !== t.division)
   
-  useEffect(() => {
-    if (!week) return
-    setLoading(true)
-    
-    const fetchMatchups = async () => {
-      if (USE_BACKEND_API) {
-        // Fetch from Python API
-        const data = await backendApi.matchups(week)
-        if (data && Array.isArray(data)) {
-          // Transform nested Python structure to flat UI structure
-          const formatted = data.map(m => ({
-            team1: m.team1.team,
-            score1: m.team1.score,
-            team2: m.team2.team,
-            score2: m.team2.score
-          }))
-          setMatchups(formatted)
-        } else {
-          setMatchups([])
-        }
-      } else {
-        // Fallback logic
-        const matchupsData = await sleeperApi.matchups(week)
-        // ... (simplified fallback logic would go here if needed)
-        setMatchups([]) 
-      }
-      setLoading(false)
-    }
-    
-    fetchMatchups()
-  }, [week])
+  // Teams that could still finish level with or above t / are already out of reach above it
+  const canCatch = others.filter(o => best(o) >= winEquivalents(t))
+  const aheadForSure = others.filter(o => winEquivalents(o) > best(t))
+  // Each other division crowns a leader who takes a spot, even one t would out-record
+  const autoBidsBelow = format.divisions ? otherDivisions.filter(d => !canCatch.some(o => o.division === d)).length : 0
+  const autoBidsAhead = format.divisions ? otherDivisions.filter(d => !aheadForSure.some(o => o.division === d)).length : 0
   
-  return { matchups, loading }
+  // The wild-card threat is the team whose best finish t has to beat for its spot to be safe
+  const spotsToBeat = format.playoffTeams - autoBidsBelow
+  const threats = others.map(best).sort((a, b) => b - a)
+  const wildCardMagic = spotsToBeat <= 0 ? Infinity : spotsToBeat > threats.length ? 0 : winsToClear(winEquivalents(t), threats[spotsToBeat - 1])
+  const divisionMagic = format.divisions ? Math.max(0, ...rivals.map(o => winsToClear(winEquivalents(t), best(o)))) : Infinity
+  const clinchMagic = Math.min(wildCardMagic, divisionMagic)
+  
+  // Elimination needs the division gone and enough teams certain to finish ahead
+  const spotsAhead = format.playoffTeams - autoBidsAhead
+  const leaders = others.map(winEquivalents).sort((a, b) => b - a)
+  const wildCardTragic = spotsAhead <= 0 ? 0 : spotsAhead > leaders.length ? Infinity : winsToClear(leaders[spotsAhead - 1], best(t))
+  const divisionTragic = format.divisions ? Math.min(Infinity, ...rivals.map(o => winsToClear(winEquivalents(o), best(t)))) : 0
+  const eliminationMagic = Math.max(wildCardTragic, divisionTragic)
+  
+  const magic = t.rank <= format.playoffTeams ? clinchMagic : eliminationMagic
+  return {
+    clinchedDivision: !!format.divisions && divisionMagic === 0,
+    clinchedPlayoffs: clinchMagic === 0,
+    eliminated: eliminationMagic === 0,
+    magic: Number.isFinite(magic) ? magic : null
+  }
 }
 
-function useWeeklyHistory(currentWeek) {
-  const [history, setHistory] = useState([])
+// Division leaders, games back and clinch/elimination marks for ranked rows
+function annotateStandings(rows, format, divisionOf) {
+  const withDivision = rows.map(t => ({ ...t, division: format.divisions ? divisionOf[t.rosterId] ?? null : null }))
+  const leaderOf = (t) => format.divisions ? withDivision.find(o => o.division === t.division) : withDivision[0]
   
-  useEffect(() => {
-    if (!currentWeek || currentWeek < 1) return
-    
-    const fetchHistory = async () => {
-      if (USE_BACKEND_API) {
-        // This endpoint isn't fully implemented in api.py yet, strictly speaking
-        // But if you added it, it would work here. 
-        // For now, we'll leave it empty to prevent crashes if endpoint missing
-        try {
-           const data = await backendApi.weeklyHistory()
-           if (data) setHistory(data)
-        } catch (e) { console.log("History endpoint not ready yet") }
+  return withDivision.map(t => {
+    const leader = leaderOf(t)
+    return {
+      ...t,
+      divisionName: t.division ? format.divisionNames[t.division] : null,
+      divisionLeader: !!format.divisions && leader === t,
+      gamesBack: ((winEquivalents(leader) - winEquivalents(t)) + ((t.losses + t.ties / 2) - (leader.losses + leader.ties / 2))) / 2,
+      playoffSpot: t.rank <= format.playoffTeams,
+      ...clinchStatus(t, withDivision, format)
+    }
+  })
+}
+
+// Regular-season results for head-to-head tiebreaks; the table still works without them
+async function loadRegularSeason(nflState, format) {
+  const lastWeek = Math.min(lastCompletedWeek(nflState, nflState?.week || 0), format.playoffWeekStart - 1)
+  if (lastWeek < 1) return {}
+  const results = await optional(Promise.all(Array.from({ length: lastWeek }, (_, i) => sleeperApi.matchups(i + 1))))
+  return results ? playedWeeks(results) : {}
+}
+
+// ============== AWARDS ENGINE ==============
+// Awards are data, not code: each rule names a metric evaluated over every team's week.
+//   weekly rule: { id, name, emoji, color, metric: 'high_score' | [fallback metrics...], tie, order? }
+//   season rule: { id, name, emoji, color, scope: 'season', metric + aggregate, or award: <weekly id> to count wins }
+// tie: 'share' (co-winners), 'bench' (more bench points breaks it, then share), 'none' (nobody wins a tie)
+
+const benchPoints = (e) => {
+  const starters = new Set(e.starters || [])
+  return (e.players || [])
+    .filter(p => !starters.has(p))
+    .reduce((sum, p) => sum + (e.players_points?.[p] || 0), 0)
+}
+
+const pts = (n) => n.toFixed(2)
+
+// filter: which team-weeks are eligible; value: what gets ranked; order: 'max' or 'min' wins
+const AWARD_METRICS = {
+  high_score: { label: 'Highest score', value: p => p.score, order: 'max', detail: p => `${pts(p.score)} points` },
+  low_score: { label: 'Lowest score', value: p => p.score, order: 'min', detail: p => `${pts(p.score)} points` },
+  bench_points: { label: 'Most bench points', value: p => p.bench, order: 'max', detail: p => `${pts(p.bench)} left on the bench` },
+  margin_of_victory: { label: 'Biggest win', filter: p => p.result === 'W', value: p => p.margin, order: 'max', detail: p => `Beat ${p.opponent} by ${pts(p.margin)}` },
+  margin_of_defeat: { label: 'Biggest loss', filter: p => p.result === 'L', value: p => -p.margin, order: 'max', detail: p => `Lost to ${p.opponent} by ${pts(-p.margin)}` },
+  narrowest_win: { label: 'Closest win', filter: p => p.result === 'W', value: p => p.margin, order: 'min', detail: p => `Edged ${p.opponent} by ${pts(p.margin)}` },
+  points_in_loss: { label: 'Most points in a loss', filter: p => p.result === 'L', value: p => p.score, order: 'max', detail: p => `${pts(p.score)} and still lost to ${p.opponent}` },
+  points_in_win: { label: 'Fewest points in a win', filter: p => p.result === 'W', value: p => p.score, order: 'min', detail: p => `Won with just ${pts(p.score)} vs ${p.opponent}` },
+  benched_the_win: { label: 'Bench would have won', filter: p => p.result === 'L' && p.bench > -p.margin, value: p => p.bench, order: 'max', detail: p => `Left ${pts(p.bench)} on the bench, lost to ${p.opponent} by ${pts(-p.margin)}` },
+  top_starter: { label: 'Best single starter', filter: p => p.topStarter != null, value: p => p.topStarter, order: 'max', detail: p => `One starter put up ${pts(p.topStarter)}` },
+  worst_starter: { label: 'Worst single starter', filter: p => p.worstStarter != null, value: p => p.worstStarter, order: 'min', detail: p => `One starter managed ${pts(p.worstStarter)}` }
+}
+
+// Season rules fold each team's weekly values with one of these
+const AWARD_AGGREGATES = {
+  sum: { fold: (values) => values.reduce((a, b) => a + b, 0), detail: (v) => `${pts(v)} total` },
+  avg: { fold: (values) => values.reduce((a, b) => a + b, 0) / values.length, detail: (v) => `${pts(v)} a week` },
+  max: { fold: (values) => Math.max(...values), detail: (v) => `${pts(v)} in one week` },
+  min: { fold: (values) => Math.min(...values), detail: (v) => `${pts(v)} in one week` },
+  count: { fold: (values) => values.length, detail: (v) => `${v} ${v === 1 ? 'week' : 'weeks'}` }
+}
+
+const DEFAULT_AWARDS = [
+  { id: 'top-dawg', name: 'Top Dawg', emoji: '🏆', color: 'gold', metric: 'high_score', tie: 'share' },
+  { id: 'super-weenie', name: 'Super Weenie', emoji: '🌭', color: 'danger', metric: 'low_score', tie: 'share' },
+  // Prefer someone whose bench would have won the game, otherwise the worst beatdown
+  { id: 'horses-ass', name: "Horse's Ass", emoji: '🐴', color: 'warning', metric: ['benched_the_win', 'margin_of_defeat'], tie: 'bench' },
+  { id: 'heartbreaker', name: 'Heartbreaker', emoji: '💔', color: 'accent', metric: 'points_in_loss', tie: 'share' },
+  { id: 'steamroller', name: 'Steamroller', emoji: '🚂', color: 'success', metric: 'margin_of_victory', tie: 'share' },
+  { id: 'points-machine', name: 'Points Machine', emoji: '💰', color: 'gold', scope: 'season', metric: 'high_score', aggregate: 'sum' },
+  { id: 'dawg-pound', name: 'Dawg Pound', emoji: '🐶', color: 'gold', scope: 'season', award: 'top-dawg' },
+  { id: 'weenie-roast', name: 'Weenie Roast', emoji: '🔥', color: 'danger', scope: 'season', award: 'super-weenie' },
+  { id: 'snakebitten', name: 'Snakebitten', emoji: '🐍', color: 'warning', scope: 'season', metric: 'points_in_loss', aggregate: 'sum' }
+]
+
+const awardRules = () => activeConfig.awards?.length ? activeConfig.awards : DEFAULT_AWARDS
+const awardColor = (rule) => colors[rule.color] || colors.accent
+const isSeasonRule = (rule) => rule.scope === 'season'
+
+// Returns a list of problems; empty means the rules are usable
+function validateAwardRules(rules) {
+  if (!Array.isArray(rules)) return ['Awards must be a JSON array']
+  const problems = []
+  const ids = new Set()
+  rules.forEach((rule, i) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      problems.push(`Award ${i + 1}: must be an object`)
+      return
+    }
+    const where = rule.name || `Award ${i + 1}`
+    if (!rule.id || !rule.name) problems.push(`${where}: needs an id and a name`)
+    if (ids.has(rule.id)) problems.push(`${where}: duplicate id "${rule.id}"`)
+    ids.add(rule.id)
+    if (isSeasonRule(rule) && rule.award) {
+      if (!rules.some(r => r?.id === rule.award && !isSeasonRule(r))) problems.push(`${where}: no weekly award "${rule.award}" to count`)
+      return
+    }
+    const metrics = [].concat(rule.metric || [])
+    if (metrics.length === 0) problems.push(`${where}: needs a metric`)
+    metrics.filter(m => !AWARD_METRICS[m]).forEach(m => problems.push(`${where}: unknown metric "${m}"`))
+    if (rule.tie && !['share', 'bench', 'none'].includes(rule.tie)) problems.push(`${where}: tie must be share, bench or none`)
+    if (isSeasonRule(rule) && !AWARD_AGGREGATES[rule.aggregate || 'sum']) problems.push(`${where}: unknown aggregate "${rule.aggregate}"`)
+  })
+  return problems
+}
+
+// One row per team for the week, with everything the metrics look at. A team on 0 in a played week
+// really scored 0, so whether the week was played is decided for the whole week, not per team.
+function teamWeeks(entries, rosterMap) {
+  return entries.map(e => {
+    const opp = e.matchup_id == null ? null : entries.find(o => o.matchup_id === e.matchup_id && o.roster_id !== e.roster_id)
+    const score = entryScore(e)
+    const margin = opp ? score - entryScore(opp) : null
+    const starterPoints = (e.starters_points || []).filter(n => typeof n === 'number')
+    return {
+      rosterId: e.roster_id,
+      team: rosterMap[e.roster_id]?.name || `Team ${e.roster_id}`,
+      score,
+      bench: benchPoints(e),
+      opponent: opp ? rosterMap[opp.roster_id]?.name || `Team ${opp.roster_id}` : null,
+      margin,
+      result: margin == null ? null : margin > 0 ? 'W' : margin < 0 ? 'L' : 'T',
+      topStarter: starterPoints.length ? Math.max(...starterPoints) : null,
+      worstStarter: starterPoints.length ? Math.min(...starterPoints) : null
+    }
+  })
+}
+
+const sameValue = (a, b) => Math.abs(a - b) < 1e-9
+
+// Best candidates under the rule's order and tie handling; [] when nobody qualifies or a tie voids it
+function pickWinners(candidates, order, tie) {
+  if (candidates.length === 0) return []
+  const sorted = [...candidates].sort((a, b) => order === 'min' ? a.value - b.value : b.value - a.value)
+  let tied = sorted.filter(c => sameValue(c.value, sorted[0].value))
+  if (tied.length > 1 && tie === 'bench') {
+    const most = Math.max(...tied.map(c => c.bench ?? 0))
+    tied = tied.filter(c => sameValue(c.bench ?? 0, most))
+  }
+  if (tied.length > 1 && tie === 'none') return []
+  return tied
+}
+
+function evaluateWeeklyAward(rule, performances) {
+  // A list of metrics is a fallback chain: the first one anybody qualifies for decides it
+  for (const id of [].concat(rule.metric)) {
+    const metric = AWARD_METRICS[id]
+    if (!metric) continue
+    const candidates = performances.filter(p => !metric.filter || metric.filter(p)).map(p => ({ ...p, value: metric.value(p) }))
+    const winners = pickWinners(candidates, rule.order || metric.order, rule.tie || 'share')
+    if (winners.length) {
+      return {
+        id: rule.id,
+        name: rule.name,
+        emoji: rule.emoji,
+        color: awardColor(rule),
+        subtitle: metric.label,
+        winners: winners.map(w => ({ rosterId: w.rosterId, team: w.team })),
+        value: winners[0].value,
+        detail: winners.length > 1 ? `Tied: ${metric.detail(winners[0])}` : metric.detail(winners[0])
       }
     }
-    fetchHistory()
-  }, [currentWeek])
+  }
+  return null
+}
+
+function computeWeeklyAwards(week, entries, rosterMap, rules = awardRules()) {
+  if (!weekPlayed(entries)) return null
+  const performances = teamWeeks(entries, rosterMap)
+  return {
+    week,
+    awards: rules.filter(r => !isSeasonRule(r)).map(r => evaluateWeeklyAward(r, performances)).filter(Boolean)
+  }
+}
+
+// weeks: { [week]: entries } as from playedWeeks()
+function computeSeasonTrophies(weeks, rosterMap, rules = awardRules()) {
+  const perWeek = Object.entries(weeks).map(([week, entries]) => ({
+    performances: teamWeeks(entries, rosterMap),
+    awards: computeWeeklyAwards(Number(week), entries, rosterMap, rules)?.awards || []
+  }))
+  const teams = Object.keys(rosterMap).map(Number)
   
-  return history
+  return rules.filter(isSeasonRule).map(rule => {
+    let candidates
+    let detail
+    if (rule.award) {
+      const counted = rules.find(r => r.id === rule.award)
+      candidates = teams.map(rosterId => ({
+        rosterId,
+        value: perWeek.filter(w => w.awards.some(a => a.id === rule.award && a.winners.some(x => x.rosterId === rosterId))).length
+      })).filter(c => c.value > 0)
+      detail = (v) => `${v}× ${counted?.name || rule.award}`
+    } else {
+      const metric = AWARD_METRICS[[].concat(rule.metric)[0]]
+      if (!metric) return null
+      const aggregate = rule.aggregate || 'sum'
+      candidates = teams.map(rosterId => {
+        const values = perWeek.flatMap(w => w.performances.filter(p => p.rosterId === rosterId && (!metric.filter || metric.filter(p))).map(metric.value))
+        return { rosterId, value: values.length ? AWARD_AGGREGATES[aggregate].fold(values) : null }
+      }).filter(c => c.value != null)
+      detail = (v) => `${metric.label}: ${AWARD_AGGREGATES[aggregate].detail(v)}`
+    }
+    const order = rule.order || (rule.award || rule.aggregate === 'count' ? 'max' : AWARD_METRICS[[].concat(rule.metric)[0]].order)
+    const winners = pickWinners(candidates, order, rule.tie || 'share')
+    if (winners.length === 0) return null
+    return {
+      id: rule.id,
+      name: rule.name,
+      emoji: rule.emoji,
+      color: awardColor(rule),
+      winners: winners.map(w => ({ rosterId: w.rosterId, team: rosterMap[w.rosterId]?.name || `Team ${w.rosterId}` })),
+      value: winners[0].value,
+      detail: detail(winners[0].value)
+    }
+  }).filter(Boolean)
 }
 
-function useAwards(currentWeek) {
-  const [awards, setAwards] = useState([])
-  const [loading, setLoading] = useState(true)
+// All-time tally per manager: every weekly award, plus season trophies from finished seasons
+function buildAwardCounts(seasons, rules = awardRules()) {
+  const managers = {}
+  const credit = (season, rosterId, awardId) => {
+    const key = ownerKey(season, rosterId)
+    // Newest season comes first, which keeps the name current
+    const m = managers[key] = managers[key] || { ownerId: key, name: season.rosterMap[rosterId]?.name || `Team ${rosterId}`, counts: {}, total: 0 }
+    m.counts[awardId] = (m.counts[awardId] || 0) + 1
+    m.total += 1
+  }
   
-  useEffect(() => {
-    if (!currentWeek) return
-    setLoading(true)
-    
-    const fetchAwards = async () => {
-      const result = []
-      
-      // Fetch last 3 weeks of awards
-      for (let w = Math.max(1, currentWeek - 2); w <= currentWeek; w++) {
-        if (USE_BACKEND_API) {
-          const weekAwards = await backendApi.awards(w)
-          
-          if (weekAwards && weekAwards.length > 0) {
-            // Map Python API response to UI State
-            const topDawg = weekAwards.find(a => a.title.includes('Top Dawg'))
-            const superWeenie = weekAwards.find(a => a.title.includes('Super Weenie'))
-            const horsesAss = weekAwards.find(a => a.title.includes('Horse'))
-            
-            result.push({
-              week: w,
-              topDawg: topDawg ? { 
-                team: topDawg.winner, 
-                points: topDawg.detail 
-              } : null,
-              superWeenie: superWeenie ? { 
-                team: superWeenie.winner, 
-                points: superWeenie.detail 
-              } : null,
-              horsesAss: horsesAss ? { 
-                title: horsesAss.title.replace("🐴 Horse's Ass: ", "").replace("🐴 Horses Ass: ", ""),
-                team: horsesAss.winner, 
-                reason: horsesAss.detail 
-              } : null
-            })
-          }
-        }
+  seasons.forEach(season => {
+    // A week still being played doesn't count until it's final
+    Object.entries(season.weeks).filter(([week]) => Number(week) <= season.completedWeek).forEach(([week, entries]) => {
+      computeWeeklyAwards(Number(week), entries, season.rosterMap, rules)?.awards.forEach(a => a.winners.forEach(w => credit(season, w.rosterId, a.id)))
+    })
+    if (season.status === 'complete') {
+      // Playoff weeks don't count toward the regular-season trophies
+      const regular = Object.fromEntries(Object.entries(season.weeks).filter(([week]) => Number(week) < season.playoffWeekStart))
+      computeSeasonTrophies(regular, season.rosterMap, rules).forEach(t => t.winners.forEach(w => credit(season, w.rosterId, t.id)))
+    }
+  })
+  return Object.values(managers).sort((a, b) => b.total - a.total)
+}
+
+const winnerNames = (award) => award.winners.map(w => w.team).join(' & ')
+
+// ============== LINEUP EFFICIENCY ==============
+// Coach's report: what each team scored against the best lineup it could have set from the same roster
+
+const SLOT_ELIGIBILITY = {
+  QB: ['QB'], RB: ['RB'], WR: ['WR'], TE: ['TE'], K: ['K'], DEF: ['DEF'],
+  FLEX: ['RB', 'WR', 'TE'], WRRB_FLEX: ['WR', 'RB'], REC_FLEX: ['WR', 'TE'], SUPER_FLEX: ['QB', 'RB', 'WR', 'TE'],
+  DL: ['DL'], LB: ['LB'], DB: ['DB'], IDP_FLEX: ['DL', 'LB', 'DB']
+}
+const NON_STARTING_SLOTS = ['BN', 'IR', 'TAXI']
+// Sleeper lists some IDP players by their specific position
+const POSITION_GROUPS = { DE: 'DL', DT: 'DL', CB: 'DB', S: 'DB', SS: 'DB', FS: 'DB', ILB: 'LB', OLB: 'LB' }
+
+const starterSlots = (rosterPositions) => (rosterPositions || []).filter(slot => !NON_STARTING_SLOTS.includes(slot))
+
+// Team defenses are keyed by team abbreviation rather than a numeric id
+const positionOf = (players, id) => {
+  const position = players?.[id]?.position || (/^[A-Z]+$/.test(id) ? 'DEF' : null)
+  return POSITION_GROUPS[position] || position
+}
+
+// Min-cost assignment of rows to distinct columns (rows <= columns), Hungarian method.
+// Greedy slot filling goes wrong with overlapping flex slots, so lineups are solved exactly.
+function assignMinCost(cost) {
+  const n = cost.length
+  const m = cost[0].length
+  const u = Array(n + 1).fill(0)
+  const v = Array(m + 1).fill(0)
+  const owner = Array(m + 1).fill(0)
+  const way = Array(m + 1).fill(0)
+  for (let i = 1; i <= n; i++) {
+    owner[0] = i
+    let j0 = 0
+    const minv = Array(m + 1).fill(Infinity)
+    const used = Array(m + 1).fill(false)
+    do {
+      used[j0] = true
+      const i0 = owner[j0]
+      let delta = Infinity
+      let j1 = 0
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j]
+        if (cur < minv[j]) { minv[j] = cur; way[j] = j0 }
+        if (minv[j] < delta) { delta = minv[j]; j1 = j }
       }
-      
-      setAwards(result.reverse())
-      setLoading(false)
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) { u[owner[j]] += delta; v[j] -= delta }
+        else minv[j] -= delta
+      }
+      j0 = j1
+    } while (owner[j0] !== 0)
+    do {
+      const j1 = way[j0]
+      owner[j0] = owner[j1]
+      j0 = j1
+    } while (j0)
+  }
+  const assignment = Array(n).fill(-1)
+  for (let j = 1; j <= m; j++) if (owner[j]) assignment[owner[j] - 1] = j - 1
+  return assignment
+}
+
+// Best possible starters for one roster entry: [{ slot, index, id, points }], index being the slot's position
+// in the lineup. Among equally good lineups it keeps starters in the slots they were actually played in.
+function optimalLineup(entry, slots, players) {
+  if (slots.length === 0) return []
+  const starters = entry.starters || []
+  const pool = (entry.players || []).map(id => ({ id, points: entry.players_points?.[id] || 0, position: positionOf(players, id) }))
+  const INELIGIBLE = 1e6
+  const KEEP_SLOT = 1e-6
+  // One "leave it empty" column per slot keeps every slot assignable
+  const cost = slots.map((slot, i) => {
+    const eligible = SLOT_ELIGIBILITY[slot] || [slot]
+    return [...pool.map(p => eligible.includes(p.position) ? -p.points - (starters[i] === p.id ? KEEP_SLOT : 0) : INELIGIBLE), ...slots.map(() => 0)]
+  })
+  return assignMinCost(cost)
+    .map((col, i) => col < pool.length ? { slot: slots[i], index: i, id: pool[col].id, points: pool[col].points } : null)
+    .filter(Boolean)
+}
+
+function lineupReport(entry, slots, players, rosterMap) {
+  const starters = entry.starters || []
+  const actual = starters.reduce((sum, id) => sum + (entry.players_points?.[id] || 0), 0)
+  const lineup = optimalLineup(entry, slots, players)
+  const optimal = Math.max(actual, lineup.reduce((sum, p) => sum + p.points, 0))
+  
+  // Pair each bench player who belonged in the lineup with the starter actually dropped for them: whoever
+  // held their slot, or, when that starter just shifts to another slot (TE into FLEX), whoever that pushes out
+  const optimalIndex = Object.fromEntries(lineup.map(p => [p.id, p.index]))
+  const started = new Set(starters)
+  const blunders = lineup.filter(p => !started.has(p.id)).map(p => {
+    let index = p.index
+    while (starters[index] && starters[index] !== '0' && optimalIndex[starters[index]] != null) index = optimalIndex[starters[index]]
+    const id = starters[index] && starters[index] !== '0' ? starters[index] : null
+    const replaced = { id, points: id ? entry.players_points?.[id] || 0 : 0 }
+    return { benched: p, started: replaced, gain: p.points - replaced.points }
+  }).filter(b => b.gain > 0)
+  
+  return {
+    rosterId: entry.roster_id,
+    team: rosterMap[entry.roster_id]?.name || `Team ${entry.roster_id}`,
+    actual,
+    optimal,
+    efficiency: optimal > 0 ? actual / optimal : 1,
+    left: optimal - actual,
+    blunders
+  }
+}
+
+// { [rosterId]: report } for one week's raw entries
+function buildWeekEfficiency(entries, rosterPositions, players, rosterMap) {
+  const slots = starterSlots(rosterPositions)
+  const reports = {}
+  if (!Array.isArray(entries) || slots.length === 0) return reports
+  entries.filter(e => entryScore(e) > 0).forEach(e => { reports[e.roster_id] = lineupReport(e, slots, players, rosterMap) })
+  return reports
+}
+
+// Season leaderboard, most efficient first, each with its single worst blunder
+function buildSeasonEfficiency(weeks, rosterPositions, players, rosterMap) {
+  const teams = {}
+  Object.entries(weeks).forEach(([week, entries]) => {
+    Object.values(buildWeekEfficiency(entries, rosterPositions, players, rosterMap)).forEach(r => {
+      const t = teams[r.rosterId] = teams[r.rosterId] || { rosterId: r.rosterId, team: r.team, actual: 0, optimal: 0, left: 0, weeks: 0, perfectWeeks: 0, worst: null }
+      t.actual += r.actual
+      t.optimal += r.optimal
+      t.left += r.left
+      t.weeks += 1
+      if (r.left < 0.01) t.perfectWeeks += 1
+      r.blunders.forEach(b => {
+        if (!t.worst || b.gain > t.worst.gain) t.worst = { ...b, week: Number(week) }
+      })
+    })
+  })
+  return Object.values(teams)
+    .map(t => ({ ...t, efficiency: t.optimal > 0 ? t.actual / t.optimal : 1 }))
+    .sort((a, b) => b.efficiency - a.efficiency)
+}
+
+// ============== PLAYER DATABASE ==============
+// Sleeper's /players/nfl is several MB, so a slimmed copy lives in IndexedDB and refreshes daily
+const PLAYER_DB_NAME = 'misfits-players'
+const PLAYER_STORE = 'players'
+const PLAYER_CACHE_KEY = 'nfl'
+const PLAYER_MAX_AGE = 24 * 60 * 60 * 1000
+let playersPromise = null
+// Whether playersPromise was started while replaying, so toggling replay loads the right names
+let playersReplay = null
+
+// One object store per database keeps upgrades trivial
+function openDb(name, storeName) {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, 1)
+    req.onupgradeneeded = () => req.result.createObjectStore(storeName)
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+async function dbRequest(name, storeName, mode, run) {
+  const db = await openDb(name, storeName)
+  return new Promise((resolve, reject) => {
+    const req = run(db.transaction(storeName, mode).objectStore(storeName))
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  }).finally(() => db.close())
+}
+
+const playerDbRequest = (mode, run) => dbRequest(PLAYER_DB_NAME, PLAYER_STORE, mode, run)
+
+// Keep only what the UI shows; the raw dump carries dozens of fields per player
+const slimPlayers = (raw) => {
+  const players = {}
+  Object.entries(raw).forEach(([id, p]) => {
+    players[id] = {
+      name: p.full_name || [p.first_name, p.last_name].filter(Boolean).join(' ') || id,
+      position: p.position || p.fantasy_positions?.[0] || null,
+      team: p.team || null,
+      injuryStatus: p.injury_status || null,
+      age: p.age || null
     }
-    
-    fetchAwards()
-  }, [currentWeek])
+  })
+  return players
+}
+
+async function loadPlayers() {
+  // Replays answer from the fixture file alone: the live cache must not leak into them,
+  // and a fixture dump must not be cached as the live one
+  if (replayMode()) {
+    const raw = await optional(sleeperApi.players())
+    return raw ? slimPlayers(raw) : {}
+  }
+  let cached = null
+  try { cached = await playerDbRequest('readonly', store => store.get(PLAYER_CACHE_KEY)) } catch (e) { console.error('Player cache unavailable', e) }
+  if (cached && Date.now() - cached.fetchedAt < PLAYER_MAX_AGE) return cached.players
   
-  return { awards, loading }
+  const raw = await optional(sleeperApi.players())
+  // Offline or Sleeper down: a stale dump beats no names at all
+  if (!raw) return cached?.players || {}
+  const players = slimPlayers(raw)
+  try {
+    await playerDbRequest('readwrite', store => store.put({ fetchedAt: Date.now(), players }, PLAYER_CACHE_KEY))
+  } catch (e) { console.error('Could not cache players', e) }
+  return players
 }
 
-// ============== COMPONENTS ==============
-const Card = ({ children, style = {}, onClick }) => (
-  <div onClick={onClick} style={{ background: `linear-gradient(145deg, ${colors.navy} 0%, ${colors.navyDark} 100%)`, borderRadius: '16px', padding: '20px', border: `1px solid ${colors.navyLight}`, boxShadow: '0 4px 20px rgba(0,0,0,0.25)', cursor: onClick ? 'pointer' : 'default', ...style }}>{children}</div>
-)
+function getPlayers() {
+  if (!playersPromise || playersReplay !== replayMode()) {
+    playersReplay = replayMode()
+    playersPromise = loadPlayers().catch(e => {
+      console.error('Failed to load players', e)
+      playersPromise = null
+      return {}
+    })
+  }
+  return playersPromise
+}
 
-const LiveBadge = () => (
-  <span style={{ background: colors.danger, color: colors.white, padding: '3px 10px', borderRadius: '12px', fontSize: '10px', fontWeight: 700, textTransform: 'uppercase', display: 'inline-flex', alignItems: 'center', gap: '4px' }}>
-    <span style={{ width: '6px', height: '6px', background: colors.white, borderRadius: '50%', animation: 'pulse 1.5s infinite' }} />LIVE
-  </span>
-)
+// ============== FIXTURES ==============
+// Recorded API responses so the app runs with no network: development, demos, screenshots, the off-season.
+// Record: every response the data client fetches is kept under "source:endpoint" and downloaded as one JSON file.
+// Replay: the data client answers from an imported file instead of the network.
+// Time travel: while replaying, the active league is rewound to how it looked during a chosen week.
+const FIXTURE_DB_NAME = 'misfits-fixtures'
+const FIXTURE_STORE = 'fixtures'
+const FIXTURE_CACHE_KEY = 'active'
+const FIXTURE_VERSION = 1
 
-const LoadingSpinner = () => (
-  <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', padding: '60px 20px' }}>
-    <RefreshCw size={32} color={colors.accent} style={{ animation: 'spin 1s linear infinite' }} />
-  </div>
-)
+const fixtureKey = (source, endpoint) => `${source}:${endpoint}`
+const fixtureDbRequest = (mode, run) => dbRequest(FIXTURE_DB_NAME, FIXTURE_STORE, mode, run)
 
-const StatCard = ({ icon, value, label, color = colors.white }) => (
-  <Card style={{ textAlign: 'center', padding: '16px' }}>
-    <div style={{ fontSize: '28px', marginBottom: '6px' }}>{icon}</div>
-    <div style={{ fontSize: '20px', fontWeight: 700, color, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{value}</div>
-    <div style={{ fontSize: '10px', color: colors.silver, letterSpacing: '1px', marginTop: '4px' }}>{label}</div>
-  </Card>
-)
+// Keep just the raw fields slimPlayers reads so the player dump doesn't dwarf the fixture
+const FIXTURE_TRIMS = {
+  '/players/nfl': (raw) => {
+    const players = {}
+    Object.entries(raw).forEach(([id, p]) => {
+      players[id] = {
+        full_name: p.full_name, first_name: p.first_name, last_name: p.last_name, position: p.position,
+        fantasy_positions: p.fantasy_positions, team: p.team, injury_status: p.injury_status, age: p.age
+      }
+    })
+    return players
+  }
+}
+
+const fixtures = {
+  recording: false,
+  recorded: {},
+  loaded: null,
+  listeners: new Set(),
+  
+  notify() {
+    this.listeners.forEach(fn => fn())
+  },
+  
+  startRecording() {
+    this.recording = true
+    this.recorded = {}
+    // Start from nothing cached so the pages visited next all land in the recording
+    dataClient.clear()
+    this.notify()
+  },
+  
+  stopRecording() {
+    this.recording = false
+    this.notify()
+  },
+  
+  record(source, endpoint, data) {
+    this.recorded[fixtureKey(source, endpoint)] = FIXTURE_TRIMS[endpoint] ? FIXTURE_TRIMS[endpoint](data) : data
+    this.notify()
+  },
+  
+  exportRecording() {
+    const { id, name } = activeLeague()
+    return { version: FIXTURE_VERSION, recordedAt: new Date().toISOString(), league: { id, name }, responses: this.recorded }
+  },
+  
+  async save(file) {
+    if (file?.version !== FIXTURE_VERSION || !file.responses || !file.league?.id) throw new Error('Not a fixture file')
+    await fixtureDbRequest('readwrite', store => store.put(file, FIXTURE_CACHE_KEY))
+    this.loaded = Promise.resolve(file)
+    this.notify()
+  },
+  
+  load() {
+    if (!this.loaded) {
+      this.loaded = fixtureDbRequest('readonly', store => store.get(FIXTURE_CACHE_KEY))
+        .then(file => file || null)
+        .catch(e => {
+          console.error('Fixture store unavailable', e)
+          return null
+        })
+    }
+    return this.loaded
+  },
+  
+  async serve(source, endpoint) {
+    const file = await this.load()
+    const key = fixtureKey(source, endpoint)
+    // Backend payloads can't be rewound, so time travel leaves them to the Sleeper fallback
+    if (!file || !(key in file.responses) || (source === 'backend' && timeTravelWeek())) {
+      throw new DataError('fixture', { source, endpoint })
+    }
+    const data = structuredClone(file.responses[key])
+    return source === 'sleeper' && timeTravelWeek() ? rewind(file.responses, endpoint, data, timeTravelWeek()) : data
+  }
+}
+
+function downloadFile(filename, contents, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([contents], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  // Revoking straight away can cancel the download before the browser has read the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+// Season records for each roster from recorded matchups, the way Sleeper tallies them after a week closes
+function recordsThrough(responses, leagueId, lastWeek, medianGame) {
+  const records = {}
+  const record = (rosterId) => (records[rosterId] = records[rosterId] || { wins: 0, losses: 0, ties: 0, pf: 0, pa: 0, results: '' })
+  const result = (rosterId, outcome) => {
+    const r = record(rosterId)
+    if (outcome === 'W') r.wins++
+    else if (outcome === 'L') r.losses++
+    else r.ties++
+    r.results += outcome
+  }
+  
+  for (let week = 1; week <= lastWeek; week++) {
+    const entries = responses[fixtureKey('sleeper', `/league/${leagueId}/matchups/${week}`)]
+    if (!Array.isArray(entries)) continue
+    pairMatchups(entries, {}).forEach(m => {
+      if (m.bye) return
+      record(m.side1.rosterId).pf += m.score1
+      record(m.side1.rosterId).pa += m.score2
+      record(m.side2.rosterId).pf += m.score2
+      record(m.side2.rosterId).pa += m.score1
+      const outcome = m.score1 > m.score2 ? 'W' : m.score1 < m.score2 ? 'L' : 'T'
+      result(m.side1.rosterId, outcome)
+      result(m.side2.rosterId, outcome === 'W' ? 'L' : outcome === 'L' ? 'W' : 'T')
+    })
+    if (medianGame) {
+      const order = [...entries].sort((a, b) => entryScore(b) - entryScore(a))
+      order.forEach((e, rank) => result(e.roster_id, rank < order.length / 2 ? 'W' : 'L'))
+    }
+  }
+  return records
+}
+
+// Sleeper writes streaks as "3W" / "2L"
+const streakOf = (results) => {
+  const last = results.match(/(W+|L+|T+)$/)?.[0]
+  return last ? `${last.length}${last[0]}` : ''
+}
+
+const splitPoints = (points) => ({ whole: Math.floor(points), decimal: Math.round((points % 1) * 100) })
+
+// Make a recorded response look like it did while `week` was being played:
+// games after it unplayed, standings and brackets only through the last finished week
+function rewind(responses, endpoint, data, week) {
+  const leagueId = activeLeague().id
+  const league = responses[fixtureKey('sleeper', `/league/${leagueId}`)]
+  const settings = league?.settings || {}
+  const playoffStart = settings.playoff_week_start || 15
+  
+  if (endpoint === '/state/nfl') {
+    return { ...data, week, display_week: week, leg: week, season: league?.season ?? data.season, season_type: week >= playoffStart ? 'post' : 'regular' }
+  }
+  if (endpoint === `/league/${leagueId}`) {
+    return { ...data, status: 'in_season', settings: { ...data.settings, leg: week, last_scored_leg: week - 1 } }
+  }
+  
+  const matchupWeek = endpoint.match(new RegExp(`^/league/${leagueId}/matchups/(\\d+)$`))?.[1]
+  if (matchupWeek) {
+    if (Number(matchupWeek) <= week || !Array.isArray(data)) return data
+    // Keep the pairings (the playoff simulator needs the schedule) but wipe the scores
+    return data.map(e => ({
+      ...e,
+      points: 0,
+      custom_points: null,
+      starters_points: (e.starters || []).map(() => 0),
+      players_points: Object.fromEntries(Object.keys(e.players_points || {}).map(id => [id, 0]))
+    }))
+  }
+  
+  const transactionWeek = endpoint.match(new RegExp(`^/league/${leagueId}/transactions/(\\d+)$`))?.[1]
+  if (transactionWeek) return Number(transactionWeek) <= week ? data : []
+  
+  if (endpoint === `/league/${leagueId}/rosters` && Array.isArray(data)) {
+    const lastWeek = Math.min(week - 1, playoffStart - 1)
+    const records = recordsThrough(responses, leagueId, lastWeek, !!settings.league_average_match)
+    return data.map(r => {
+      const rec = records[r.roster_id] || { wins: 0, losses: 0, ties: 0, pf: 0, pa: 0, results: '' }
+      const pf = splitPoints(rec.pf)
+      const pa = splitPoints(rec.pa)
+      return {
+        ...r,
+        settings: { ...r.settings, wins: rec.wins, losses: rec.losses, ties: rec.ties, fpts: pf.whole, fpts_decimal: pf.decimal, fpts_against: pa.whole, fpts_against_decimal: pa.decimal },
+        metadata: { ...r.metadata, streak: streakOf(rec.results), record: rec.results }
+      }
+    })
+  }
+  
+  if (endpoint === `/league/${leagueId}/winners_bracket` && Array.isArray(data)) {
+    // Round r of the bracket is played in week playoffStart + r - 1
+    return data.map(g => playoffStart + g.r - 1 < week ? g : { ...g, w: null, l: null })
+  }
+  
+  return data
+}
+
+// ============== LIVE SCORING ==============
+// Rough kickoff-to-final windows in US Eastern time, [startHour, endHour)
+const GAME_WINDOWS = {
+  Thu: [[20, 24]],
+  Fri: [[0, 1]],
+  Sat: [[13, 24]], // late-season Saturday slates
+  Sun: [[9, 24]],
+  Mon: [[0, 1], [19, 24]],
+  Tue: [[0, 1]]
+}
+// Hidden tabs poll this many times slower, capped
+const HIDDEN_BACKOFF = 5
+const MAX_HIDDEN_DELAY = 10 * 60 * 1000
+// Expected points from a starter who hasn't played yet, by position
+const REMAINING_POINTS = { QB: 18, RB: 11, WR: 11, TE: 8, K: 8, DEF: 7 }
+const REMAINING_DEFAULT = 9
+const PLAYER_SD = 7
+
+function isGameWindow(date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: 'America/New_York', weekday: 'short', hour: 'numeric', hourCycle: 'h23' }).formatToParts(date)
+  const day = parts.find(p => p.type === 'weekday')?.value
+  const hour = Number(parts.find(p => p.type === 'hour')?.value)
+  return (GAME_WINDOWS[day] || []).some(([start, end]) => hour >= start && hour < end)
+}
+
+const matchupKey = (m) => m.matchupId ?? `${m.team1}|${m.team2}`
+
+// Per-matchup score deltas and lead changes between two polls of the same week
+function diffMatchups(prev, next) {
+  const changes = {}
+  next.forEach(m => {
+    const before = prev.find(p => matchupKey(p) === matchupKey(m))
+    if (!before) return
+    const delta1 = m.score1 - before.score1
+    const delta2 = m.score2 - before.score2
+    const leader = (x) => x.score1 > x.score2 ? 1 : x.score2 > x.score1 ? 2 : 0
+    const leadChanged = leader(before) !== 0 && leader(m) !== 0 && leader(before) !== leader(m)
+    if (delta1 || delta2 || leadChanged) changes[matchupKey(m)] = { delta1, delta2, leadChanged }
+  })
+  return changes
+}
+
+// Abramowitz-Stegun approximation
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2)
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))))
+  const erf = 1 - poly * Math.exp(-(x * x) / 2)
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2
+}
+
+// NFL team -> its game's status ('pre_game', 'in_progress', 'complete') for one week; null without a schedule
+async function loadWeekGames(week, fresh = false) {
+  const nflState = await optional(sleeperApi.nflState())
+  const schedule = nflState?.season ? await optional(sleeperApi.schedule(nflState.season, { fresh })) : null
+  if (!Array.isArray(schedule)) return null
+  const thisWeek = schedule.filter(g => g.week === week)
+  if (thisWeek.length === 0) return null
+  const games = {}
+  thisWeek.forEach(g => { games[g.home] = g.status; games[g.away] = g.status })
+  return games
+}
+
+// A starter is yet to play until their team's game kicks off, and not at all on a bye, so a starter on 0
+// whose game has started has played. Without the schedule or the player's team, 0 counts as yet to play.
+function yetToPlay(side, i, players, games) {
+  const id = side.starters[i]
+  const team = players[id]?.team || (/^[A-Z]+$/.test(id) ? id : null)
+  if (games && team) return games[team] === 'pre_game'
+  return !side.startersPoints[i]
+}
+
+function remainingOutlook(side, players, games) {
+  const left = side.starters.filter((id, i) => id !== '0' && yetToPlay(side, i, players, games))
+  const mean = left.reduce((sum, id) => sum + (REMAINING_POINTS[players[id]?.position] ?? REMAINING_DEFAULT), 0)
+  return { left: left.length, mean, variance: left.length * PLAYER_SD * PLAYER_SD }
+}
+
+// Team 1's chance to win given current scores plus what each side still has to play
+function winProbability(m, players, games) {
+  if (m.bye || !m.side1?.starters || !m.side2?.starters) return null
+  const a = remainingOutlook(m.side1, players, games)
+  const b = remainingOutlook(m.side2, players, games)
+  const margin = m.score1 + a.mean - m.score2 - b.mean
+  const variance = a.variance + b.variance
+  const prob1 = variance === 0 ? (margin > 0 ? 1 : margin < 0 ? 0 : 0.5) : normalCdf(margin / Math.sqrt(variance))
+  return { prob1, left1: a.left, left2: b.left }
+}
+
+// ============== TRANSACTIONS ==============
+const TRANSACTION_TYPES = {
+  trade: { label: 'Trade', emoji: '🤝' },
+  waiver: { label: 'Waiver', emoji: '📋' },
+  free_agent: { label: 'Free Agent', emoji: '🆓' },
+  commissioner: { label: 'Commish', emoji: '⚖️' }
+}
+
+const pickLabel = (pick, rosterMap) => {
+  const original = pick.roster_id !== pick.owner_id ? ` (${rosterMap[pick.roster_id]?.name || `Team ${pick.roster_id}`})` : ''
+  return `${pick.season} Round ${pick.round}${original}`
+}
+
+// Completed transactions, newest first, with each involved roster's side spelled out
+function buildTransactions(raw, rosterMap, players) {
+  const player = (id) => ({ id, name: players[id]?.name || id, position: players[id]?.position, team: players[id]?.team })
+  return raw
+    .filter(t => t.status === 'complete')
+    .map(t => {
+      const sides = (t.roster_ids || []).map(rosterId => ({
+        rosterId,
+        name: rosterMap[rosterId]?.name || `Team ${rosterId}`,
+        adds: Object.entries(t.adds || {}).filter(([, r]) => r === rosterId).map(([id]) => player(id)),
+        drops: Object.entries(t.drops || {}).filter(([, r]) => r === rosterId).map(([id]) => player(id)),
+        picksIn: (t.draft_picks || []).filter(p => p.owner_id === rosterId).map(p => pickLabel(p, rosterMap)),
+        picksOut: (t.draft_picks || []).filter(p => p.previous_owner_id === rosterId).map(p => pickLabel(p, rosterMap)),
+        faabIn: (t.waiver_budget || []).filter(b => b.receiver === rosterId).reduce((sum, b) => sum + b.amount, 0),
+        faabOut: (t.waiver_budget || []).filter(b => b.sender === rosterId).reduce((sum, b) => sum + b.amount, 0)
+      }))
+      return {
+        id: t.transaction_id,
+        type: t.type,
+        week: t.leg,
+        date: t.status_updated || t.created,
+        bid: t.type === 'waiver' ? t.settings?.waiver_bid ?? null : null,
+        sides
+      }
+    })
+    .sort((a, b) => b.date - a.date)
+}
+
+// ============== DRAFT BOARD ==============
+const FUTURE_PICK_YEARS = 3
+
+// Every draft the league has held, newest first
+async function loadDrafts(leagueId) {
+  const leagues = await loadLeagueChain(leagueId)
+  const perSeason = await Promise.all(leagues.map(l => sleeperApi.drafts(l.league_id)))
+  return perSeason
+    .filter(Array.isArray)
+    .flat()
+    .sort((a, b) => Number(b.season) - Number(a.season) || (b.start_time || 0) - (a.start_time || 0))
+}
+
+// Who owns each upcoming pick: { [season]: { [round]: { [originalRosterId]: ownerRosterId } } }
+function buildPickOwnership(league, tradedPicks, drafts) {
+  if (!league) return { years: [], rounds: [], owners: {} }
+  const season = Number(league.season)
+  // This season's draft is still up for grabs until it has run
+  const currentDraft = drafts.find(d => Number(d.season) === season)
+  const firstYear = currentDraft && currentDraft.status !== 'complete' ? season : season + 1
+  const years = new Set(Array.from({ length: FUTURE_PICK_YEARS }, (_, i) => firstYear + i))
+  tradedPicks.forEach(p => { if (Number(p.season) >= firstYear) years.add(Number(p.season)) })
+  const rounds = Array.from({ length: league.settings?.draft_rounds || 4 }, (_, i) => i + 1)
+  const rosterIds = Array.from({ length: league.total_rosters || 0 }, (_, i) => i + 1)
+  
+  const owners = {}
+  ;[...years].forEach(year => {
+    owners[year] = {}
+    rounds.forEach(round => {
+      owners[year][round] = {}
+      rosterIds.forEach(id => { owners[year][round][id] = id })
+    })
+  })
+  tradedPicks.forEach(p => {
+    const year = Number(p.season)
+    if (owners[year]?.[p.round]) owners[year][p.round][p.roster_id] = p.owner_id
+  })
+  return { years: [...years].sort((a, b) => a - b), rounds, owners }
+}
+
+// ============== AI CHAT ==============
+// Providers share one shape: stream(messages, context, signal) yields text chunks.
+const CHAT_MAX_TOKENS = 400
+
+function buildChatContext({ week, standings, matchups, awards }) {
+  const lines = [
+    "You are the League of Misfits fantasy football assistant: a dynasty league on Sleeper, est. 2017.",
+    'Be funny and a little savage, but keep answers short and grounded in the league data below.',
+    '',
+    `STANDINGS (week ${week}):`,
+    ...standings.map(s => `${s.rank}. ${s.name} ${s.wins}-${s.losses} • ${s.pf.toFixed(1)} PF${s.pa ? ` • ${s.pa.toFixed(1)} PA` : ''}${s.streak ? ` • streak ${s.streak}` : ''}`),
+    '',
+    `WEEK ${week} MATCHUPS:`,
+    ...(matchups.length ? matchups.map(m => `${m.team1} ${m.score1.toFixed(1)} vs ${m.team2} ${m.score2.toFixed(1)}`) : ['None yet']),
+    '',
+    'RECENT AWARDS:',
+    ...(awards.length ? awards.map(w => `Week ${w.week}: ${w.awards.map(a => `${a.name} ${winnerNames(a)} (${a.detail})`).join(' • ')}`) : ['None yet'])
+  ]
+  return lines.join('\n')
+}
+
+// OpenAI-style server-sent events: "data: {choices:[{delta:{content}}]}" lines, ending with [DONE]
+async function* readChatStream(res) {
+  const reader = res.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+    const lines = buffer.split('\n')
+    buffer = lines.pop()
+    for (const line of lines) {
+      const payload = line.replace(/^data:\s*/, '').trim()
+      if (!payload || !line.startsWith('data:')) continue
+      if (payload === '[DONE]') return
+      try {
+        const chunk = JSON.parse(payload).choices?.[0]?.delta?.content
+        if (chunk) yield chunk
+      } catch (e) { console.error('Bad chat chunk', payload) }
+    }
+  }
+}
+
+async function* openAiCompatibleStream(url, model, messages, context, signal) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model, stream: true, max_tokens: CHAT_MAX_TOKENS, messages: [{ role: 'system', content: context }, ...messages] }),
+    signal
+  })
+  if (!res.ok || !res.body) throw new Error(`HTTP ${res.status}`)
+  yield* readChatStream(res)
+}
+
+const stripSlash = (url) => url.endsWith('/') ? url.slice(0, -1) : url
+
+// Deterministic offline answers built straight from the context data
+function stubReply(question, { standings, matchups, awards }) {
+  const q = question.toLowerCase()
+  const first = standings[0]
+  const last = standings[standings.length - 1]
+  if (!first) return "I don't have any league data yet. Hit refresh and ask again!"
+  if (q.includes('roast')) {
+    return `${last.name} sits dead last at ${last.wins}-${last.losses} with ${last.pf.toFixed(1)} points. Even the waiver wire is asking for a trade away from that roster. 🗑️`
+  }
+  if (q.includes('trade')) {
+    // Middle of the pack teams are the ones who should be buying or selling
+    const partner = standings[Math.floor(standings.length / 2)]
+    return `Call ${partner.name}. At ${partner.wins}-${partner.losses} they're stuck in no-man's land, and desperate managers overpay. Stay away from ${first.name} — the ${first.wins}-${first.losses} leader has zero reason to help you.`
+  }
+  if (q.includes('award') || q.includes('top dawg') || q.includes('weenie')) {
+    const latest = awards[0]
+    if (!latest) return 'No awards handed out yet this season.'
+    return `Week ${latest.week}: ${latest.awards.map(a => `${a.emoji} ${a.name} ${winnerNames(a)}`).join(', ')}.`
+  }
+  if (q.includes('matchup') || q.includes('week')) {
+    if (matchups.length === 0) return 'No matchups on the board yet.'
+    const closest = [...matchups].sort((a, b) => Math.abs(a.score1 - a.score2) - Math.abs(b.score1 - b.score2))[0]
+    return `Game of the week: ${closest.team1} ${closest.score1.toFixed(1)} vs ${closest.team2} ${closest.score2.toFixed(1)}.`
+  }
+  return `${first.name} leads the League of Misfits at ${first.wins}-${first.losses}, and ${last.name} is holding up the basement. Ask me to roast someone, find a trade partner, or recap the awards.`
+}
+
+const CHAT_PROVIDERS = {
+  backend: {
+    label: 'Python backend',
+    // The backend relays the same OpenAI-style request to its own model and streams the answer back
+    stream: (messages, context, signal) => openAiCompatibleStream(`${stripSlash(activeLeague().apiUrl)}/api/chat`, chatSettings().model, messages, context, signal)
+  },
+  local: {
+    label: 'Local (OpenAI-compatible)',
+    stream: (messages, context, signal) => openAiCompatibleStream(`${stripSlash(chatSettings().localUrl)}/chat/completions`, chatSettings().model, messages, context, signal)
+  },
+  stub: {
+    label: 'Offline',
+    async *stream(messages, context, signal, data) {
+      const words = stubReply(messages[messages.length - 1].content, data).split(/(\s+)/)
+      for (const word of words) {
+        if (signal?.aborted) return
+        await new Promise(resolve => setTimeout(resolve, 20))
+        yield word
+      }
+    }
+  }
+}
+
+// The backend proxy needs a backend URL; without one fall back to the offline stub
+function chatProvider() {
+  const { provider } = chatSettings()
+  if (provider === 'backend' && !activeLeague().apiUrl) return CHAT_PROVIDERS.stub
+  return CHAT_PROVIDERS[provider] || CHAT_PROVIDERS.stub
+}
+
+// ============== DYNASTY HISTORY ==============
+// Every Sleeper season is its own league; previous_league_id chains them back to year one.
+const SEASON_WEEKS = 18
+const chainCache = {}
+const historyCache = {}
+// Time travel changes what the current season looks like, so it gets its own cache entry
+const historyKey = (leagueId) => `${leagueId}@${timeTravelWeek() ?? 'now'}`
+
+// Last week of a finished season: the championship round, from the league's own playoff settings
+function finalWeekOf(settings, bracket) {
+  const playoffWeekStart = settings.playoff_week_start || 15
+  const rounds = Math.max(0, ...bracket.map(b => b.r)) || Math.ceil(Math.log2(settings.playoff_teams || 6))
+  // playoff_round_type: 0 one week a round, 1 a two-week final, 2 two weeks every round
+  const weeks = settings.playoff_round_type === 2 ? rounds * 2 : settings.playoff_round_type === 1 ? rounds + 1 : rounds
+  return Math.min(playoffWeekStart + weeks - 1, SEASON_WEEKS)
+}
+
+async function loadSeason(league, nflState) {
+  const leagueId = league.league_id
+  const settings = league.settings || {}
+  const [users, rosters, winnersBracket] = await Promise.all([
+    sleeperApi.users(leagueId),
+    sleeperApi.rosters(leagueId),
+    optional(sleeperApi.winnersBracket(leagueId))
+  ])
+  if (!users || !rosters) throw new Error(`Failed to load ${league.season} season`)
+  const userMap = buildUserMap(users)
+  const bracket = Array.isArray(winnersBracket) ? winnersBracket : []
+  
+  const complete = league.status === 'complete'
+  const lastWeek = complete ? finalWeekOf(settings, bracket) : (settings.last_scored_leg || settings.leg || 0)
+  const weekEntries = await Promise.all(Array.from({ length: lastWeek }, (_, i) => sleeperApi.matchups(i + 1, leagueId)))
+  const weeks = playedWeeks(weekEntries)
+  // The season being played has a week in progress; without the NFL state assume the last one is
+  const completedWeek = complete ? lastWeek : Math.min(lastWeek, nflState ? lastCompletedWeek(nflState, nflState.week || 0) : lastWeek - 1)
+  
+  // Championship game is p === 1; older brackets may omit p, so fall back to the last round
+  const lastRound = Math.max(0, ...bracket.map(b => b.r))
+  const final = bracket.find(b => b.p === 1) || bracket.find(b => b.r === lastRound && !b.p)
+  
+  return {
+    season: league.season,
+    leagueId,
+    name: league.name,
+    status: league.status,
+    playoffWeekStart: settings.playoff_week_start || 15,
+    userMap,
+    rosterMap: buildRosterMap(rosters, userMap),
+    rosters,
+    weeks,
+    completedWeek,
+    winnersBracket: bracket,
+    championRosterId: final?.w ?? null
+  }
+}
+
+// League objects for every season, newest first, following previous_league_id
+function loadLeagueChain(leagueId) {
+  const key = historyKey(leagueId)
+  if (!chainCache[key]) {
+    chainCache[key] = (async () => {
+      const leagues = []
+      let id = leagueId
+      while (id && id !== '0') {
+        // Older seasons are a bonus; only the current one has to load
+        const league = await (leagues.length ? optional(sleeperApi.league(id)) : sleeperApi.league(id))
+        if (!league) break
+        leagues.push(league)
+        id = league.previous_league_id
+      }
+      if (leagues.length === 0) throw new Error('Failed to load league history')
+      return leagues
+    })()
+    chainCache[key].catch(() => { delete chainCache[key] })
+  }
+  return chainCache[key]
+}
+
+// Newest season first. Cached per league so every history-based view shares one walk.
+function loadLeagueHistory(leagueId, onProgress) {
+  const key = historyKey(leagueId)
+  if (!historyCache[key]) {
+    historyCache[key] = (async () => {
+      const seasons = []
+      const nflState = await optional(sleeperApi.nflState())
+      for (const league of await loadLeagueChain(leagueId)) {
+        onProgress?.(league.season)
+        seasons.push(await loadSeason(league, nflState))
+      }
+      return seasons
+    })()
+    historyCache[key].catch(() => { delete historyCache[key] })
+  }
+  return historyCache[key]
+}
+
+// Managers are keyed by owner_id; team names change, owners don't
+const ownerKey = (season, rosterId) => season.rosterMap[rosterId]?.ownerId || `${season.season}-roster-${rosterId}`
+
+// Regular-season games and winners-bracket games count for the records; consolation games don't
+const countsForRecords = (season, week, rosterA, rosterB) => week < season.playoffWeekStart || season.winnersBracket.some(g =>
+  (g.t1 === rosterA && g.t2 === rosterB) || (g.t1 === rosterB && g.t2 === rosterA)
+)
+
+function buildRecordBook(seasons) {
+  const managers = {}
+  const manager = (season, rosterId) => {
+    const key = ownerKey(season, rosterId)
+    // Seasons are newest first, so the first name we see is the current one
+    if (!managers[key]) {
+      managers[key] = { ownerId: key, name: season.rosterMap[rosterId]?.name || `Team ${rosterId}`, avatar: season.rosterMap[rosterId]?.avatar, wins: 0, losses: 0, ties: 0, pf: 0, titles: 0, seasons: 0 }
+    }
+    return managers[key]
+  }
+  
+  const champions = []
+  let highestScore = null
+  let biggestBlowout = null
+  
+  seasons.forEach(season => {
+    season.rosters.forEach(r => {
+      const m = manager(season, r.roster_id)
+      m.wins += r.settings?.wins || 0
+      m.losses += r.settings?.losses || 0
+      m.ties += r.settings?.ties || 0
+      m.pf += rosterPoints(r)
+      m.seasons += 1
+    })
+    
+    if (season.championRosterId != null) {
+      const champ = manager(season, season.championRosterId)
+      champ.titles += 1
+      champions.push({ season: season.season, ownerId: champ.ownerId, name: champ.name, team: season.rosterMap[season.championRosterId]?.name })
+    }
+    
+    Object.entries(season.weeks).forEach(([week, entries]) => {
+      pairMatchups(entries, season.rosterMap).forEach(m => {
+        if (m.bye || !countsForRecords(season, Number(week), m.side1.rosterId, m.side2.rosterId)) return
+        for (const side of [m.side1, m.side2]) {
+          if (!highestScore || side.score > highestScore.score) {
+            highestScore = { season: season.season, week: Number(week), score: side.score, name: manager(season, side.rosterId).name }
+          }
+        }
+        const margin = Math.abs(m.score1 - m.score2)
+        if (m.score1 > 0 && m.score2 > 0 && (!biggestBlowout || margin > biggestBlowout.margin)) {
+          const [winner, loser] = m.score1 >= m.score2 ? [m.side1, m.side2] : [m.side2, m.side1]
+          biggestBlowout = {
+            season: season.season,
+            week: Number(week),
+            margin,
+            winner: manager(season, winner.rosterId).name,
+            winnerScore: winner.score,
+            loser: manager(season, loser.rosterId).name,
+            loserScore: loser.score
+          }
+        }
+      })
+    })
+  })
+  
+  return {
+    champions,
+    managers: Object.values(managers).sort((a, b) => b.titles - a.titles || b.wins - a.wins || b.pf - a.pf),
+    highestScore,
+    biggestBlowout
+  }
+}
+
+// Every regular-season and winners-bracket game two managers have played against each other, from A's side
+function buildRivalry(seasons, ownerA, ownerB) {
+  const meetings = []
+  // Oldest first so streaks read in order
+  ;[...seasons].reverse().forEach(season => {
+    Object.entries(season.weeks).forEach(([week, entries]) => {
+      pairMatchups(entries, season.rosterMap).forEach(m => {
+        if (m.bye) return
+        const owner1 = ownerKey(season, m.side1.rosterId)
+        const owner2 = ownerKey(season, m.side2.rosterId)
+        let a, b
+        if (owner1 === ownerA && owner2 === ownerB) [a, b] = [m.side1, m.side2]
+        else if (owner1 === ownerB && owner2 === ownerA) [a, b] = [m.side2, m.side1]
+        else return
+        if (!countsForRecords(season, Number(week), a.rosterId, b.rosterId)) return
+        const playoff = Number(week) >= season.playoffWeekStart
+        meetings.push({ season: season.season, week: Number(week), scoreA: a.score, scoreB: b.score, teamA: a.team, teamB: b.team, playoff })
+      })
+    })
+  })
+  
+  const record = { winsA: 0, winsB: 0, ties: 0 }
+  const longest = { a: 0, b: 0 }
+  let run = { who: null, length: 0 }
+  meetings.forEach(g => {
+    const who = g.scoreA > g.scoreB ? 'a' : g.scoreB > g.scoreA ? 'b' : null
+    if (who === 'a') record.winsA++
+    else if (who === 'b') record.winsB++
+    else record.ties++
+    run = who && run.who === who ? { who, length: run.length + 1 } : { who, length: who ? 1 : 0 }
+    if (who) longest[who] = Math.max(longest[who], run.length)
+  })
+  
+  const totalMargin = meetings.reduce((sum, g) => sum + (g.scoreA - g.scoreB), 0)
+  return {
+    meetings,
+    record,
+    avgMargin: meetings.length ? totalMargin / meetings.length : 0,
+    longestStreakA: longest.a,
+    longestStreakB: longest.b,
+    currentStreak: run,
+    playoffMeetings: meetings.filter(g => g.playoff)
+  }
+}
+
+// ============== WEEKLY HISTORY ==============
+// One row per played week: { week, scores, cumulative, ranks }, each keyed by roster_id.
+// Ranks are the standings as of that week, with the same tiebreakers and median games as
+// the Standings table; they stop moving once the playoffs start.
+function buildWeeklyHistory(weeks, format, divisionOf) {
+  const records = {}
+  const totals = {}
+  const record = (rosterId) => (records[rosterId] = records[rosterId] || { rosterId, wins: 0, losses: 0, ties: 0, pf: 0 })
+  const regular = {}
+  let ranks = {}
+  
+  return Object.keys(weeks).map(Number).sort((a, b) => a - b).map(week => {
+    const entries = weeks[week]
+    const scores = {}
+    entries.forEach(e => {
+      scores[e.roster_id] = entryScore(e)
+      totals[e.roster_id] = (totals[e.roster_id] || 0) + entryScore(e)
+    })
+    
+    if (week < format.playoffWeekStart) {
+      regular[week] = entries
+      entries.forEach(e => { record(e.roster_id).pf += entryScore(e) })
+      pairMatchups(entries, {}).forEach(m => {
+        if (m.bye) return
+        if (m.score1 === m.score2) { record(m.side1.rosterId).ties++; record(m.side2.rosterId).ties++ }
+        else {
+          record(m.score1 > m.score2 ? m.side1.rosterId : m.side2.rosterId).wins++
+          record(m.score1 > m.score2 ? m.side2.rosterId : m.side1.rosterId).losses++
+        }
+      })
+      // League-median game: the top half of the week's scores take an extra win
+      if (format.medianGame) {
+        const order = [...entries].sort((a, b) => entryScore(b) - entryScore(a))
+        order.forEach((e, i) => { if (i < order.length / 2) record(e.roster_id).wins++; else record(e.roster_id).losses++ })
+      }
+      ranks = Object.fromEntries(rankStandings(Object.values(records), format, headToHead(regular), divisionOf).map(r => [r.rosterId, r.rank]))
+    }
+    
+    const cumulative = Object.fromEntries(Object.entries(totals).map(([rosterId, pf]) => [rosterId, Math.round(pf * 100) / 100]))
+    return { week, scores, cumulative, ranks }
+  })
+}
+
+// ============== WEEKLY RECAP ==============
+// The Tuesday group-chat post: scores, awards and standings movers as an image or Markdown
+const RECAP_WIDTH = 1080
+const RECAP_MOVERS = 6
+
+function buildWeekRecap({ week, matchups, awards, history, rosterMap, leagueName }) {
+  const awardLines = (awards?.awards || []).map(a => ({ emoji: a.emoji, label: a.name, team: winnerNames(a), detail: a.detail, color: a.color }))
+  
+  // Movers compare this week's standings with last week's
+  const now = history.find(h => h.week === week)
+  const before = history.filter(h => h.week < week).pop()
+  const movers = now && before ? Object.entries(now.ranks)
+    .map(([rosterId, rank]) => ({ team: rosterMap[rosterId]?.name || `Team ${rosterId}`, rank, change: (before.ranks[rosterId] ?? rank) - rank }))
+    .filter(m => m.change !== 0)
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || a.rank - b.rank)
+    .slice(0, RECAP_MOVERS) : []
+  
+  return {
+    week,
+    leagueName,
+    games: matchups.filter(m => !m.bye).map(m => ({ team1: m.team1, score1: m.score1, team2: m.team2, score2: m.score2 })),
+    awards: awardLines,
+    movers
+  }
+}
+
+function recapMarkdown(recap) {
+  const lines = [`**${recap.leagueName} • Week ${recap.week} Recap**`, '', '**Scores**']
+  recap.games.forEach(g => {
+    const [win1, win2] = [g.score1 > g.score2, g.score2 > g.score1]
+    lines.push(`- ${win1 ? '**' : ''}${g.team1} ${g.score1.toFixed(1)}${win1 ? '**' : ''} vs ${win2 ? '**' : ''}${g.team2} ${g.score2.toFixed(1)}${win2 ? '**' : ''}`)
+  })
+  if (recap.awards.length) {
+    lines.push('', '**Awards**')
+    recap.awards.forEach(a => lines.push(`${a.emoji} ${a.label}: ${a.team} (${a.detail})`))
+  }
+  if (recap.movers.length) {
+    lines.push('', '**Standings movers**')
+    recap.movers.forEach(m => lines.push(`${m.change > 0 ? `▲${m.change}` : `▼${-m.change}`} ${m.team} (now #${m.rank})`))
+  }
+  return lines.join('\n')
+}
+
+const loadImage = (src) => new Promise((resolve) => {
+  const img = new Image()
+  img.onload = () => resolve(img)
+  img.onerror = () => resolve(null)
+  img.src = src
+})
+
+// Ellipsize so long team names don't run into the scores
+function fitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text
+  let cut = text
+  while (cut.length > 1 && ctx.measureText(`${cut}…`).width > maxWidth) cut = cut.slice(0, -1)
+  return `${cut}…`
+}
+
+async function drawRecapCard(recap) {
+  const pad = 60
+  const gameRow = 76
+  const awardRow = 96
+  const moverRow = 52
+  const section = 80
+  const height = 240 + section + recap.games.length * gameRow +
+    (recap.awards.length ? section + recap.awards.length * awardRow : 0) +
+    (recap.movers.length ? section + recap.movers.length * moverRow : 0) + 100
+  
+  const canvas = document.createElement('canvas')
+  canvas.width = RECAP_WIDTH
+  canvas.height = height
+  const ctx = canvas.getContext('2d')
+  const [logo] = await Promise.all([loadImage('/logo.png'), document.fonts?.load('700 48px Oswald').catch(() => null)])
+  const heading = (size) => `700 ${size}px Oswald, sans-serif`
+  const body = (size, weight = 600) => `${weight} ${size}px -apple-system, 'Segoe UI', Roboto, sans-serif`
+  
+  const bg = ctx.createLinearGradient(0, 0, 0, height)
+  bg.addColorStop(0, colors.navyDark)
+  bg.addColorStop(1, colors.navyDeep)
+  ctx.fillStyle = bg
+  ctx.fillRect(0, 0, RECAP_WIDTH, height)
+  ctx.fillStyle = colors.accent
+  ctx.fillRect(0, 0, RECAP_WIDTH, 8)
+  
+  // Header: logo, league name, week
+  let y = pad
+  if (logo) {
+    const logoHeight = 120
+    ctx.drawImage(logo, pad, y, logo.width * logoHeight / logo.height, logoHeight)
+  }
+  const titleX = logo ? pad + 150 : pad
+  ctx.fillStyle = colors.white
+  ctx.font = heading(52)
+  ctx.textBaseline = 'top'
+  ctx.fillText(fitText(ctx, recap.leagueName.toUpperCase(), RECAP_WIDTH - titleX - pad), titleX, y + 10)
+  ctx.fillStyle = colors.accent
+  ctx.font = heading(34)
+  ctx.fillText(`WEEK ${recap.week} RECAP`, titleX, y + 76)
+  y += 180
+  
+  const sectionTitle = (text) => {
+    ctx.fillStyle = colors.silver
+    ctx.font = body(24, 700)
+    ctx.fillText(text, pad, y + 30)
+    ctx.fillStyle = colors.navyLight
+    ctx.fillRect(pad, y + 66, RECAP_WIDTH - pad * 2, 2)
+    y += section
+  }
+  
+  sectionTitle('SCORES')
+  const half = (RECAP_WIDTH - pad * 2) / 2
+  recap.games.forEach(g => {
+    const winner = g.score1 > g.score2 ? 1 : g.score2 > g.score1 ? 2 : 0
+    ctx.font = body(30)
+    ctx.textAlign = 'left'
+    ctx.fillStyle = winner === 1 ? colors.white : colors.silver
+    ctx.fillText(fitText(ctx, g.team1, half - 140), pad, y + 20)
+    ctx.textAlign = 'right'
+    ctx.fillStyle = winner === 2 ? colors.white : colors.silver
+    ctx.fillText(fitText(ctx, g.team2, half - 140), RECAP_WIDTH - pad, y + 20)
+    ctx.font = heading(34)
+    ctx.fillStyle = winner === 1 ? colors.success : colors.accent
+    ctx.fillText(g.score1.toFixed(1), pad + half - 24, y + 16)
+    ctx.textAlign = 'left'
+    ctx.fillStyle = winner === 2 ? colors.success : colors.accent
+    ctx.fillText(g.score2.toFixed(1), pad + half + 24, y + 16)
+    y += gameRow
+  })
+  ctx.textAlign = 'left'
+  
+  if (recap.awards.length) {
+    sectionTitle('AWARDS')
+    recap.awards.forEach(a => {
+      ctx.font = body(40)
+      ctx.fillText(a.emoji, pad, y + 14)
+      ctx.fillStyle = colors.silver
+      ctx.font = body(20, 700)
+      ctx.fillText(a.label.toUpperCase(), pad + 70, y + 8)
+      ctx.fillStyle = a.color
+      ctx.font = body(32, 700)
+      ctx.fillText(fitText(ctx, a.team, RECAP_WIDTH - pad * 2 - 70), pad + 70, y + 34)
+      ctx.fillStyle = colors.silver
+      ctx.font = body(20, 400)
+      ctx.fillText(fitText(ctx, a.detail, RECAP_WIDTH - pad * 2 - 70), pad + 70, y + 72)
+      y += awardRow
+    })
+  }
+  
+  if (recap.movers.length) {
+    sectionTitle('STANDINGS MOVERS')
+    recap.movers.forEach(m => {
+      ctx.font = heading(30)
+      ctx.fillStyle = m.change > 0 ? colors.success : colors.danger
+      ctx.fillText(m.change > 0 ? `▲${m.change}` : `▼${-m.change}`, pad, y + 10)
+      ctx.font = body(28)
+      ctx.fillStyle = colors.white
+      ctx.fillText(fitText(ctx, m.team, RECAP_WIDTH - pad * 2 - 260), pad + 90, y + 12)
+      ctx.textAlign = 'right'
+      ctx.fillStyle = colors.silver
+      ctx.fillText(`now #${m.rank}`, RECAP_WIDTH - pad, y + 12)
+      ctx.textAlign = 'left'
+      y += moverRow
+    })
+  }
+  
+  ctx.fillStyle = colors.silver
+  ctx.font = body(18, 400)
+  ctx.textAlign = 'center'
+  ctx.fillText('LEAGUE OF MISFITS • EST. 2017', RECAP_WIDTH / 2, height - 56)
+  return canvas
+}
+
+const canvasBlob = (canvas) => new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
+
+// Everything the card needs for one week, through the same fallback path as the pages
+// Awards and movers wait for the week to finish; until then the recap is just the scores
+async function loadWeekRecap(week, data) {
+  const final = week <= lastCompletedWeek(data.nflState, data.currentWeek)
+  const [matchups, awards, seasonWeeks] = await Promise.all([
+    fetchWeekMatchups(week, data.rosterMap),
+    final ? fetchWeekAwards(week, data.rosterMap) : null,
+    final ? Promise.all(Array.from({ length: week }, (_, i) => sleeperApi.matchups(i + 1))) : []
+  ])
+  return buildWeekRecap({
+    week,
+    matchups: matchups.value,
+    awards,
+    history: buildWeeklyHistory(playedWeeks(seasonWeeks), data.format || leagueFormat(data.league, data.rosters.length), divisionsOf(data.rosters)),
+    rosterMap: data.rosterMap,
+    leagueName: activeLeague().name
+  })
+}
+
+// ============== POWER RANKINGS ==============
+const FORM_DECAY = 0.75
+
+function rankPower(weeks, upToWeek) {
+  const teams = {}
+  const team = (rosterId) => (teams[rosterId] = teams[rosterId] || { rosterId, allPlayWins: 0, allPlayLosses: 0, allPlayTies: 0, expectedWins: 0, wins: 0, pf: 0, pa: 0, games: 0, scores: [] })
+  
+  Object.keys(weeks).map(Number).filter(w => w <= upToWeek).sort((a, b) => a - b).forEach(week => {
+    const entries = weeks[week]
+    const scores = entries.map(e => ({ rosterId: e.roster_id, score: entryScore(e) }))
+    
+    // All-play: your score against every other team that week
+    scores.forEach(({ rosterId, score }) => {
+      const t = team(rosterId)
+      const others = scores.filter(o => o.rosterId !== rosterId)
+      const beat = others.filter(o => score > o.score).length
+      const tied = others.filter(o => score === o.score).length
+      t.allPlayWins += beat
+      t.allPlayTies += tied
+      t.allPlayLosses += others.length - beat - tied
+      t.expectedWins += others.length ? (beat + tied / 2) / others.length : 0
+      t.scores.push(score)
+      t.pf += score
+      t.games += 1
+    })
+    
+    pairMatchups(entries, {}).forEach(m => {
+      if (m.bye) return
+      team(m.side1.rosterId).pa += m.score2
+      team(m.side2.rosterId).pa += m.score1
+      if (m.score1 > m.score2) team(m.side1.rosterId).wins += 1
+      else if (m.score2 > m.score1) team(m.side2.rosterId).wins += 1
+      else { team(m.side1.rosterId).wins += 0.5; team(m.side2.rosterId).wins += 0.5 }
+    })
+  })
+  
+  const list = Object.values(teams).map(t => {
+    const allPlayGames = t.allPlayWins + t.allPlayLosses + t.allPlayTies
+    // Recent weeks count most: weight = FORM_DECAY ^ weeks ago
+    const weights = t.scores.map((_, i) => Math.pow(FORM_DECAY, t.scores.length - 1 - i))
+    const form = t.scores.reduce((sum, score, i) => sum + score * weights[i], 0) / (weights.reduce((a, b) => a + b, 0) || 1)
+    return {
+      ...t,
+      allPlayPct: allPlayGames ? (t.allPlayWins + t.allPlayTies / 2) / allPlayGames : 0,
+      luck: t.wins - t.expectedWins,
+      form,
+      avgPf: t.games ? t.pf / t.games : 0
+    }
+  })
+  
+  const maxForm = Math.max(1, ...list.map(t => t.form))
+  const maxAvg = Math.max(1, ...list.map(t => t.avgPf))
+  list.forEach(t => { t.power = t.allPlayPct * 0.5 + (t.form / maxForm) * 0.3 + (t.avgPf / maxAvg) * 0.2 })
+  
+  const paOrder = [...list].sort((a, b) => b.pa - a.pa)
+  list.forEach(t => { t.paRank = paOrder.indexOf(t) + 1 })
+  
+  return list.sort((a, b) => b.power - a.power).map((t, i) => ({ ...t, rank: i + 1 }))
+}
+
+// Rankings through the latest played week, with movement against the week before
+function buildPowerRankings(weeks) {
+  const played = Object.keys(weeks).map(Number)
+  if (played.length === 0) return []
+  const latest = Math.max(...played)
+  const previous = rankPower(weeks, latest - 1)
+  return rankPower(weeks, latest).map(t => {
+    const before = previous.find(p => p.rosterId === t.rosterId)
+    return { ...t, movement: before ? before.rank - t.rank : 0 }
+  })
+}
+
+// ============== PLAYOFF ODDS ==============
+const SIM_ITERATIONS = 10000
+const SIM_TIMEOUT = 60 * 1000
+let oddsWorker = null
+let oddsRequestId = 0
+
+// Rejects if the worker can't load, throws, or never answers; a broken worker is
+// thrown away so the next run starts a fresh one
+function runPlayoffSim(payload) {
+  if (!oddsWorker) oddsWorker = new Worker(new URL('./playoffOdds.worker.js', import.meta.url), { type: 'module' })
+  const worker = oddsWorker
+  const id = ++oddsRequestId
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer)
+      worker.removeEventListener('message', onMessage)
+      worker.removeEventListener('error', onError)
+      worker.removeEventListener('messageerror', onError)
+    }
+    const fail = (message) => {
+      cleanup()
+      if (oddsWorker === worker) {
+        worker.terminate()
+        oddsWorker = null
+      }
+      reject(new Error(message))
+    }
+    const onMessage = (e) => {
+      if (e.data.id !== id) return
+      cleanup()
+      if (e.data.error) reject(new Error(`Playoff simulation failed: ${e.data.error}`))
+      else resolve(e.data.results)
+    }
+    const onError = (e) => {
+      e.preventDefault?.()
+      fail(`Playoff simulation failed${e.message ? `: ${e.message}` : ''}`)
+    }
+    const timer = setTimeout(() => fail('Playoff simulation timed out'), SIM_TIMEOUT)
+    worker.addEventListener('message', onMessage)
+    worker.addEventListener('error', onError)
+    worker.addEventListener('messageerror', onError)
+    worker.postMessage({ ...payload, id })
+  })
+}
+
+// Seeds that skip round one when the bracket isn't a power of two (6 teams -> top 2)
+const playoffByes = (playoffTeams) => Math.pow(2, Math.ceil(Math.log2(Math.max(1, playoffTeams)))) - playoffTeams
+
+// ============== LEDGER ==============
+// League dues and payouts. Kept in localStorage per league id (a new Sleeper league id every season).
+// Weekly prizes follow the chosen weekly award; place payouts follow the playoff bracket once it's decided.
+const LEDGER_STORAGE_KEY = 'misfits:ledger'
+const DEFAULT_PAYOUTS = { buyIn: 100, weeklyPrize: 10, weeklyAward: 'top-dawg', places: [500, 200, 100] }
+
+const money = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2).replace(/\.00$/, '')}`
+const ordinal = (n) => `${n}${['th', 'st', 'nd', 'rd'][(n % 100 > 10 && n % 100 < 14) || n % 10 > 3 ? 0 : n % 10]}`
+const cents = (amount) => Math.round(amount * 100) / 100
+
+function loadLedgers() {
+  try { return JSON.parse(localStorage.getItem(LEDGER_STORAGE_KEY)) || {} } catch (e) { return {} }
+}
+
+function saveLedger(leagueId, ledger) {
+  try { localStorage.setItem(LEDGER_STORAGE_KEY, JSON.stringify({ ...loadLedgers(), [leagueId]: ledger })) } catch (e) { console.error('Could not save ledger', e) }
+}
+
+const isDollars = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value)
+
+// Fills in defaults for anything left out; validateLedger then checks what came back
+const normalizeLedger = (ledger) => ({
+  payouts: ledger?.payouts == null ? { ...DEFAULT_PAYOUTS } : isPlainObject(ledger.payouts) ? { ...DEFAULT_PAYOUTS, ...ledger.payouts } : ledger.payouts,
+  paid: ledger?.paid ?? {},
+  settled: ledger?.settled ?? {}
+})
+
+// Returns a list of problems with a normalized ledger; empty means it is safe to save
+function validateLedger(ledger) {
+  const problems = []
+  const { payouts } = ledger
+  if (!isPlainObject(payouts)) return ['payouts must be an object']
+  for (const key of ['buyIn', 'weeklyPrize']) {
+    if (!isDollars(payouts[key])) problems.push(`payouts.${key} must be a number of dollars`)
+  }
+  if (!Array.isArray(payouts.places) || !payouts.places.every(isDollars)) problems.push('payouts.places must be a list of dollar amounts')
+  if (typeof payouts.weeklyAward !== 'string') problems.push('payouts.weeklyAward must be an award id')
+  for (const key of ['paid', 'settled']) {
+    if (!isPlainObject(ledger[key])) problems.push(`${key} must be an object`)
+  }
+  return problems
+}
+
+// Custom award rules can drop the award the weekly prize follows, which would quietly stop the weekly credits
+const missingWeeklyAward = (payouts) => awardRules().some(r => r.id === payouts.weeklyAward && !isSeasonRule(r))
+  ? null
+  : `The weekly prize follows "${payouts.weeklyAward}", which is no longer a weekly award. Pick another one.`
+
+// A damaged saved ledger falls back to the defaults rather than breaking the page
+function ledgerFor(leagueId) {
+  const ledger = normalizeLedger(loadLedgers()[leagueId])
+  return validateLedger(ledger).length ? normalizeLedger() : ledger
+}
+
+// { [rosterId]: place } from decided placement games (p: 1 is the final, 3 the third-place game, ...)
+function bracketFinish(bracket) {
+  const finish = {}
+  ;(bracket || []).forEach(g => {
+    if (!g.p || g.w == null || g.l == null) return
+    finish[g.w] = g.p
+    finish[g.l] = g.p + 1
+  })
+  return finish
+}
+
+// Line items owed to teams: weekly prizes (split on ties) and place payouts
+function ledgerCredits({ weeklyAwards, finish, payouts }) {
+  const credits = []
+  weeklyAwards.forEach(({ week, awards }) => {
+    const award = awards.find(a => a.id === payouts.weeklyAward)
+    if (!award || award.winners.length === 0 || !payouts.weeklyPrize) return
+    award.winners.forEach(w => credits.push({
+      id: `week-${week}-${w.rosterId}`,
+      rosterId: w.rosterId,
+      kind: 'weekly',
+      week,
+      label: `Week ${week} ${award.name}`,
+      amount: cents(payouts.weeklyPrize / award.winners.length)
+    }))
+  })
+  Object.entries(finish).forEach(([rosterId, place]) => {
+    const amount = Number(payouts.places[place - 1]) || 0
+    if (amount > 0) credits.push({ id: `place-${place}`, rosterId: Number(rosterId), kind: 'place', place, label: `${ordinal(place)} place`, amount })
+  })
+  return credits
+}
+
+function buildLedger({ ledger, credits, rosterMap, regularWeeks }) {
+  const { payouts, paid, settled } = ledger
+  const rows = Object.entries(rosterMap).map(([id, team]) => {
+    const rosterId = Number(id)
+    const items = credits.filter(c => c.rosterId === rosterId).map(c => ({ ...c, settled: !!settled[c.id] }))
+    const winnings = cents(items.reduce((sum, c) => sum + c.amount, 0))
+    const paidOut = cents(items.filter(c => c.settled).reduce((sum, c) => sum + c.amount, 0))
+    return {
+      rosterId,
+      team: team.name,
+      duesPaid: !!paid[rosterId],
+      dues: payouts.buyIn,
+      credits: items,
+      winnings,
+      owed: cents(winnings - paidOut),
+      net: cents(winnings - payouts.buyIn)
+    }
+  }).sort((a, b) => b.net - a.net)
+  
+  const pot = payouts.buyIn * rows.length
+  return {
+    rows,
+    totals: {
+      pot,
+      collected: payouts.buyIn * rows.filter(r => r.duesPaid).length,
+      committed: payouts.weeklyPrize * regularWeeks + payouts.places.reduce((sum, p) => sum + (Number(p) || 0), 0),
+      credited: cents(rows.reduce((sum, r) => sum + r.winnings, 0)),
+      paidOut: cents(rows.reduce((sum, r) => sum + r.winnings - r.owed, 0))
+    }
+  }
+}
+
+const csvCell = (value) => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value)
+
+// One line per buy-in and per credit, so the amounts for a team sum to its net
+function ledgerCsv(rows) {
+  const lines = [['Team', 'Item', 'Amount', 'Status']]
+  rows.forEach(r => {
+    lines.push([r.team, 'Buy-in', -r.dues, r.duesPaid ? 'paid' : 'unpaid'])
+    r.credits.forEach(c => lines.push([r.team, c.label, c.amount, c.settled ? 'paid out' : 'owed']))
+  })
+  return lines.map(line => line.map(csvCell).join(',')).join('\n')
+}
+
+// ============== ALERTS ==============
+// Events come from diffing successive snapshots. League snapshots (standings, trades, finished weeks)
+// are kept per league in localStorage, so anything that happened since the last visit fires on the next load.
+// Matchup snapshots only live for the session and follow the live score polls.
+const ALERTS_STORAGE_KEY = 'misfits:alerts'
+const ALERT_HISTORY_LIMIT = 100
+const CLOSE_GAME_MARGIN = 5
+// A game only counts as close once both sides are down to this many starters yet to play
+const CLOSE_GAME_STARTERS_LEFT = 2
+// Keys of one-off alerts already sent, per league
+const FIRED_ALERT_LIMIT = 200
+
+// mine: needs "my team" picked for the league; live: needs live scoring to watch the scores
+const ALERT_RULES = {
+  close_game: { label: `My matchup is within ${CLOSE_GAME_MARGIN} points late in the game`, emoji: '😬', mine: true, live: true },
+  lead_change: { label: 'Lead changes in my matchup', emoji: '🔄', mine: true, live: true },
+  new_trade: { label: 'New trade in the league', emoji: '🤝' },
+  awards_posted: { label: 'Weekly awards posted', emoji: '🏆' },
+  standings_drop: { label: 'I dropped in the standings', emoji: '📉', mine: true }
+}
+
+// Accepted trades from this leg and the one before, so a trade processed just before the week
+// rolls over still gets noticed. null when the trade rule is off and nothing was fetched.
+async function loadRecentTrades(week) {
+  if (!alertSettings().rules.new_trade || replayMode()) return null
+  const legs = week > 1 ? [week - 1, week] : [week]
+  const results = await Promise.all(legs.map(leg => optional(sleeperApi.transactions(leg))))
+  if (results.every(r => r == null)) return null
+  return results.filter(Array.isArray).flat().filter(t => t.type === 'trade' && t.status === 'complete')
+}
+
+// Standings ranks, completed trades and the last finished week, from useLeagueData
+const leagueSnapshot = (data) => ({
+  awardsWeek: lastCompletedWeek(data.nflState, data.currentWeek),
+  ranks: Object.fromEntries(data.standings.filter(s => s.rosterId != null).map(s => [s.rosterId, s.rank])),
+  trades: data.trades?.map(t => t.transaction_id) ?? null
+})
+
+function leagueEvents(prev, next, data, myRosterId) {
+  const events = []
+  const teamName = (rosterId) => data.rosterMap[rosterId]?.name || `Team ${rosterId}`
+  // Only compare trade lists that were both actually fetched
+  const trades = prev.trades && data.trades ? data.trades.filter(t => !prev.trades.includes(t.transaction_id)) : []
+  trades.forEach(t => events.push({
+    rule: 'new_trade',
+    title: 'Trade accepted',
+    body: (t.roster_ids || []).map(teamName).join(' ↔ ')
+  }))
+  if (next.awardsWeek > prev.awardsWeek) {
+    events.push({ rule: 'awards_posted', title: `Week ${next.awardsWeek} awards are in`, body: 'See who won on the Awards page' })
+  }
+  const [before, after] = [prev.ranks[myRosterId], next.ranks[myRosterId]]
+  if (before && after && after > before) {
+    events.push({ rule: 'standings_drop', title: `You dropped to ${ordinal(after)}`, body: `Down from ${ordinal(before)} in the standings` })
+  }
+  return events
+}
+
+// My side first, so the rules can talk about "me"
+function myMatchup(matchups, myRosterId) {
+  const m = matchups.find(m => !m.bye && (m.side1?.rosterId === myRosterId || m.side2?.rosterId === myRosterId))
+  if (!m) return null
+  return m.side1.rosterId === myRosterId
+    ? { matchupId: matchupKey(m), me: m.score1, them: m.score2, opponent: m.team2, mySide: m.side1, theirSide: m.side2 }
+    : { matchupId: matchupKey(m), me: m.score2, them: m.score1, opponent: m.team1, mySide: m.side2, theirSide: m.side1 }
+}
+
+// Matchups here always come straight from Sleeper, so both sides carry their starters.
+// games: which NFL games have kicked off, so a starter sitting on 0 in a game under way counts as played.
+const lateInGame = (s, players, games) => remainingOutlook(s.mySide, players, games).left <= CLOSE_GAME_STARTERS_LEFT &&
+  remainingOutlook(s.theirSide, players, games).left <= CLOSE_GAME_STARTERS_LEFT
+
+function matchupEvents(prevMatchups, nextMatchups, myRosterId, week, { players, games }) {
+  const prev = myMatchup(prevMatchups, myRosterId)
+  const next = myMatchup(nextMatchups, myRosterId)
+  // Nothing to say before kickoff
+  if (!prev || !next || (next.me === 0 && next.them === 0)) return []
+  const events = []
+  const started = prev.me > 0 || prev.them > 0
+  const close = (s) => Math.abs(s.me - s.them) <= CLOSE_GAME_MARGIN
+  const score = `${next.me.toFixed(1)} - ${next.them.toFixed(1)} vs ${next.opponent}`
+  if (close(next) && lateInGame(next, players, games)) {
+    events.push({ rule: 'close_game', title: 'Nail-biter', body: score, once: `close_game:${week}:${next.matchupId}` })
+  }
+  const leader = (s) => Math.sign(s.me - s.them)
+  if (started && leader(prev) !== 0 && leader(next) !== 0 && leader(prev) !== leader(next)) {
+    events.push({ rule: 'lead_change', title: leader(next) > 0 ? 'You took the lead' : 'You lost the lead', body: score })
+  }
+  return events
+}
+
+const alertCenter = {
+  state: null,
+  listeners: new Set(),
+  
+  load() {
+    if (!this.state) {
+      try { this.state = JSON.parse(localStorage.getItem(ALERTS_STORAGE_KEY)) } catch (e) { this.state = null }
+      this.state = { history: [], snapshots: {}, fired: {}, ...this.state }
+    }
+    return this.state
+  },
+  
+  save() {
+    try { localStorage.setItem(ALERTS_STORAGE_KEY, JSON.stringify(this.state)) } catch (e) { console.error('Could not save alerts', e) }
+    this.listeners.forEach(fn => fn())
+  },
+  
+  // Swap in the latest snapshot and hand back the previous one. A refresh that skipped
+  // trades keeps the last known list so the next one still has something to diff against.
+  swapSnapshot(leagueId, snapshot) {
+    const previous = this.load().snapshots[leagueId] || null
+    this.state.snapshots = { ...this.state.snapshots, [leagueId]: { ...snapshot, trades: snapshot.trades ?? previous?.trades ?? null } }
+    this.save()
+    return previous
+  },
+  
+  // Drops events for rules that are off or one-offs already sent, records the rest and sends browser notifications
+  push(leagueId, events) {
+    const { rules, browser } = alertSettings()
+    const fired = this.load().fired[leagueId] || []
+    const enabled = events.filter(e => rules[e.rule] && !(e.once && fired.includes(e.once)))
+    if (enabled.length === 0) return
+    const once = enabled.filter(e => e.once).map(e => e.once)
+    if (once.length) this.state.fired = { ...this.state.fired, [leagueId]: [...fired, ...once].slice(-FIRED_ALERT_LIMIT) }
+    const at = Date.now()
+    const entries = enabled.map(({ once, ...e }, i) => ({ ...e, id: `${at}-${i}`, leagueId, at, read: false }))
+    this.load().history = [...entries.reverse(), ...this.state.history].slice(0, ALERT_HISTORY_LIMIT)
+    this.save()
+    if (browser) entries.forEach(showBrowserNotification)
+  },
+  
+  markAllRead() {
+    const { history } = this.load()
+    if (history.every(a => a.read)) return
+    this.state.history = history.map(a => ({ ...a, read: true }))
+    this.save()
+  },
+  
+  clear() {
+    this.load().history = []
+    this.save()
+  }
+}
+
+// Mobile browsers only allow notifications through the service worker
+function showBrowserNotification(alert) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return
+  const title = `${ALERT_RULES[alert.rule]?.emoji || '🔔'} ${alert.title}`
+  const options = { body: alert.body, icon: '/logo.png', tag: alert.id, data: { url: '/#/alerts' } }
+  if (navigator.serviceWorker?.controller) {
+    navigator.serviceWorker.ready.then(reg => reg.showNotification(title, options)).catch(e => console.error(e))
+  } else {
+    try { new Notification(title, options) } catch (e) { console.error(e) }
+  }
+}
+
+// ============== ROUTING ==============
+// Hash routes: #/ (dashboard), #/matchups/7, #/awards, #/team/3, ...
+
+function parseRoute(hash) {
+  const [tab, param] = hash.replace(/^#\/?/, '').split('/')
+  return { tab: tab || 'dashboard', param: param ?? null }
+}
+
+const routeHash = (tab, param) => `#/${tab === 'dashboard' ? '' : tab}${param != null ? `/${param}` : ''}`
+
+// How many in-app navigations deep the current history entry is. It lives in history.state,
+// so Back and Forward bring the right value with them; the entry the user landed on is 0.
+const historyDepth = () => window.history.state?.misfitsDepth ?? 0
+
+const hasInAppHistory = () => historyDepth() > 0
+
+// ============== DATA HOOKS ==============
+function useRoute() {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash))
+  
+  useEffect(() => {
+    const onHashChange = () => setRoute(parseRoute(window.location.hash))
+    window.addEventListener('hashchange', onHashChange)
+    return () => window.removeEventListener('hashchange', onHashChange)
+  }, [])
+  
+  const navigate = useCallback((tab, param = null) => {
+    const hash = routeHash(tab, param)
+    if (hash === window.location.hash) return
+    const depth = historyDepth() + 1
+    window.location.hash = hash
+    window.history.replaceState({ ...window.history.state, misfitsDepth: depth }, '')
+  }, [])
+  
+  return [route, navigate]
+}
+
+function useConfig() {
+  const [config, setConfigState] = useState(activeConfig)
+  const update = useCallback((next) => {
+    setConfig(next)
+    setConfigState(next)
+  }, [])
+  return [config, update]
+}
+
+function useLeagueData() {
+  const [data, setData] = useState({ 
+    loading: true, 
+    error: null, 
+    source: null, 
+    fallback: null, 
+    format: null, 
+    nflState: null, 
+    standings: [], 
+    currentWeek: 1, 
+    userMap: {}, 
+    rosterMap: {}, 
+    rosters: [], 
+    league: null, 
+    trades: null, 
+    rankingFinal: false 
+  })
+  const refreshId = useRef(0)
+  
+  const refresh = useCallback(async () => {
+    const id = ++refreshId.current
+    setData(d => ({ ...d, loading: true, error: null }))
+    dataClient.clear()
+    resetFreshness()
+    // Every refresh gives a sleeping backend another chance
+    resetBackendHealth()
+    try {
+      // Rosters and settings always come from Sleeper so team pages and the simulator have them
+      const sleeperBase = Promise.all([sleeperApi.users(), sleeperApi.rosters(), optional(sleeperApi.league())])
+      // The backend path only looks at it once the backend answers; if Sleeper fails first it isn't unhandled
+      sleeperBase.catch(() => {})
+      
+      const { value, source, fallback } = await withFallback({
+        backend: async () => {
+          const [nflState, rows] = await Promise.all([backendApi.state(), backendApi.standings()])
+          // The backend can still rank the league if Sleeper's roster endpoints are down
+          const [users, rosters, league] = await sleeperBase.catch(e => { console.error(e); return [null, null, null] })
+          const userMap = users ? buildUserMap(users) : {}
+          const rosterMap = rosters ? buildRosterMap(rosters, userMap) : {}
+          return { nflState, standings: normalizeBackendStandings(rows, rosterMap), userMap, rosterMap, rosters: rosters || [], league }
+        },
+        sleeper: async () => {
+          const [[users, rosters, league], nflState] = await Promise.all([sleeperBase, sleeperApi.nflState()])
+          const userMap = buildUserMap(users)
+          return { nflState, standings: buildSleeperStandings(rosters, userMap), userMap, rosterMap: buildRosterMap(rosters, userMap), rosters, league }
+        }
+      })
+      
+      // Backend rows come pre-ranked; Sleeper's are ranked here with the league's tiebreakers
+      const format = leagueFormat(value.league, value.rosters.length)
+      const divisionOf = divisionsOf(value.rosters)
+      const rank = (h2h) => annotateStandings(source === 'sleeper' ? rankStandings(value.standings, format, h2h, divisionOf) : value.standings, format, divisionOf)
+      const trades = await loadRecentTrades(value.nflState?.week || 1)
+      
+      setData({ 
+        loading: false, 
+        error: null, 
+        source, 
+        fallback, 
+        currentWeek: value.nflState?.week || 1, 
+        ...value, 
+        format, 
+        trades, 
+        standings: rank({}), 
+        rankingFinal: source !== 'sleeper' 
+      })
+      if (source !== 'sleeper') return
+      // Head-to-head tiebreaks need every regular-season week, so the table shows first and re-ranks once they land
+      const h2h = headToHead(await loadRegularSeason(value.nflState, format))
+      if (refreshId.current === id) setData(d => ({ ...d, standings: rank(h2h), rankingFinal: true }))
+    } catch (e) { 
+      if (refreshId.current === id) setData(d => ({ ...d, loading: false, error: e })) 
+    }
+  }, [])
+  
+  useEffect(() => { refresh() }, [refresh])
+  
+  // Pull fresh data when the connection comes back, or when the service worker
+  // finishes revalidating something it had served stale
+  useEffect(() => {
+    let timer = null
+    const refreshSoon = () => {
+      clearTimeout(timer)
+      timer = setTimeout(refresh, 1000)
+    }
+    const onMessage = (e) => { if (e.data?.type === 'data-updated') refreshSoon() }
+    window.addEventListener('online', refreshSoon)
+    navigator.serviceWorker?.addEventListener('message', onMessage)
+    return () => {
+      clearTimeout(timer)
+      window.removeEventListener('online', refreshSoon)
+      navigator.serviceWorker?.removeEventListener('message', onMessage)
+    }
+  }, [refresh])
+  
+  return { ...data, refresh }
+}
+
+function useFixtures() {
+  const [status, setStatus] = useState({ recording: fixtures.recording, recordedCount: 0, file: null })
+  
+  useEffect(() => {
+    let cancelled = false
+    const update = () => fixtures.load().then(file => {
+      if (!cancelled) setStatus({ recording: fixtures.recording, recordedCount: Object.keys(fixtures.recorded).length, file })
+    })
+    fixtures.listeners.add(update)
+    update()
+    return () => {
+      cancelled = true
+      fixtures.listeners.delete(update)
+    }
+  }, [])
+  
+  return status
+}
+
+function useFreshness() {
+  const [asOf, setAsOf] = useState(dataAsOf)
+  const [online, setOnline] = useState(navigator.onLine)
+  
+  useEffect(() => {
+    const goOnline = () => setOnline(true)
+    const goOffline = () => setOnline(false)
+    freshnessListeners.add(setAsOf)
+    window.addEventListener('online', goOnline)
+    window.addEventListener('offline', goOffline)
+    return () => {
+      freshnessListeners.delete(setAsOf)
+      window.removeEventListener('online', goOnline)
+      window.removeEventListener('offline', goOffline)
+    }
+  }, [])
+  
+  return { asOf, online }
+}
+
+function useLeagueHistory() {
+  const [history, setHistory] = useState({ loading: true, error: null, seasons: [], progress: null })
+  
+  useEffect(() => {
+    let cancelled = false
+    loadLeagueHistory(activeLeague().id, (season) => {
+      if (!cancelled) setHistory(h => ({ ...h, progress: season }))
+    })
+      .then(seasons => { if (!cancelled) setHistory({ loading: false, error: null, seasons, progress: null }) })
+      .catch(e => { if (!cancelled) setHistory({ loading: false, error: e.message, seasons: [], progress: null }) })
+    return () => { cancelled = true }
+  }, [])
+  
+  return history
+}
+
+// enabled: lets views that only sometimes need names skip the multi-MB download
+function usePlayers(enabled = true) {
+  const [players, setPlayers] = useState(null)
+  
+  useEffect(() => {
+    if (!enabled) return
+    let cancelled = false
+    getPlayers().then(p => { if (!cancelled) setPlayers(p) })
+    return () => { cancelled = true }
+  }, [enabled])
+  
+  return { players: players || {}, loading: !players }
+}
+
+// Raw Sleeper entries for weeks 1..lastWeek of the active season
+function useSeasonMatchups(lastWeek) {
+  const [season, setSeason] = useState({ loading: true, error: null, weeks: {} })
+  
+  useEffect(() => {
+    if (!lastWeek || lastWeek < 1) {
+      setSeason({ loading: false, error: null, weeks: {} })
+      return
+    }
+    let cancelled = false
+    setSeason(s => ({ ...s, loading: true }))
+    Promise.all(Array.from({ length: lastWeek }, (_, i) => sleeperApi.matchups(i + 1)))
+      .then(results => { if (!cancelled) setSeason({ loading: false, error: null, weeks: playedWeeks(results) }) })
+      .catch(e => { if (!cancelled) setSeason({ loading: false, error: e, weeks: {} }) })
+    return () => { cancelled = true }
+  }, [lastWeek])
+  
+  return season
+}
+
+// Coach's report for one week; always read from Sleeper since the backend doesn't carry benches
+function useLineupEfficiency(week, data, enabled = true) {
+  const { players, loading: playersLoading } = usePlayers(enabled)
+  const [entries, setEntries] = useState({ loading: true, error: null, list: [] })
+  
+  useEffect(() => {
+    if (!enabled || !week) return
+    let cancelled = false
+    setEntries({ loading: true, error: null, list: [] })
+    sleeperApi.matchups(week)
+      .then(list => { if (!cancelled) setEntries({ loading: false, error: null, list }) })
+      .catch(e => { if (!cancelled) setEntries({ loading: false, error: e, list: [] }) })
+    return () => { cancelled = true }
+  }, [week, enabled])
+  
+  const reports = useMemo(
+    () => playersLoading ? {} : buildWeekEfficiency(entries.list, data.league?.roster_positions, players, data.rosterMap),
+    [entries.list, data.league, players, playersLoading, data.rosterMap]
+  )
+  
+  return { reports, players, loading: entries.loading || playersLoading, error: entries.error }
+}
+
+function usePlayoffOdds(data) {
+  const completed = lastCompletedWeek(data.nflState, data.currentWeek)
+  const { weeks, loading: historyLoading, error: historyError } = useSeasonMatchups(completed)
+  const [odds, setOdds] = useState({ loading: true, error: null, results: [], magic: {}, remainingWeeks: 0, playoffTeams: 0 })
+  const { league, rosters } = data
+  
+  useEffect(() => {
+    if (historyLoading || data.loading) return
+    if (historyError) {
+      setOdds(o => ({ ...o, loading: false, error: historyError.message }))
+      return
+    }
+    if (!league || rosters.length === 0) {
+      setOdds(o => ({ ...o, loading: false, error: 'League settings unavailable' }))
+      return
+    }
+    let cancelled = false
+    setOdds(o => ({ ...o, loading: true, error: null }))
+    
+    const format = leagueFormat(league, rosters.length)
+    const { playoffWeekStart, playoffTeams, medianGame } = format
+    const remaining = Array.from({ length: Math.max(0, playoffWeekStart - 1 - completed) }, (_, i) => completed + 1 + i)
+    
+    const run = async () => {
+      // Future weeks already carry their matchup_id pairings
+      const future = await Promise.all(remaining.map(w => sleeperApi.matchups(w)))
+      const schedule = future.map(entries => pairMatchups(entries, {}).filter(m => !m.bye).map(m => [m.side1.rosterId, m.side2.rosterId]))
+      const teams = rosters.map(r => ({
+        rosterId: r.roster_id,
+        wins: r.settings?.wins || 0,
+        losses: r.settings?.losses || 0,
+        ties: r.settings?.ties || 0,
+        pf: rosterPoints(r),
+        scores: Object.values(weeks).map(entries => entries.find(e => e.roster_id === r.roster_id)).filter(Boolean).map(entryScore)
+      }))
+      // Same tiebreak inputs the Standings table ranks with
+      const regular = Object.fromEntries(Object.entries(weeks).filter(([week]) => Number(week) < playoffWeekStart))
+      const divisionOf = divisionsOf(rosters)
+      const results = await runPlayoffSim({
+        teams,
+        schedule,
+        format: { playoffTeams, divisions: format.divisions, divisionNames: format.divisionNames },
+        divisionOf,
+        h2h: headToHead(regular),
+        byes: playoffByes(playoffTeams),
+        medianGame,
+        iterations: SIM_ITERATIONS
+      })
+      // Magic numbers share the Standings table's clinch math
+      const magic = Object.fromEntries(data.standings.map(s => [s.rosterId, { magic: s.magic, clinched: s.clinchedPlayoffs, eliminated: s.eliminated }]))
+      if (!cancelled) {
+        setOdds({ loading: false, error: null, results, magic, remainingWeeks: remaining.length, playoffTeams })
+      }
+    }
+    run().catch(e => { if (!cancelled) setOdds(o => ({ ...o, loading: false, error: e.message })) })
+    return () => { cancelled = true }
+  }, [historyLoading, historyError, weeks, data.loading, data.standings, league, rosters, completed])
+  
+  return odds
+}
+
+// live: keep polling the week and report what changed since the previous poll
+// direct: always read Sleeper, for callers that need every starter's points
+function useMatchups(week, rosterMap, { live = false, direct = false } = {}) {
+  const [matchups, setMatchups] = useState([])
+  const [games, setGames] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [changes, setChanges] = useState({})
+  const [error, setError] = useState(null)
+  const [source, setSource] = useState({ source: null, fallback: null })
+  const previous = useRef(null)
+  
+  // Roster names are needed to label Sleeper entries, and Sleeper may end up serving the week
+  const ready = !!week && Object.keys(rosterMap).length > 0
+  
+  const fetchWeek = useCallback((fresh) => direct
+    ? fetchSleeperMatchups(week, rosterMap, fresh).then(value => ({ value, source: 'sleeper', fallback: null }))
+    : fetchWeekMatchups(week, rosterMap, fresh), [week, rosterMap, direct])
+  
+  // A failed poll keeps the last good scores on screen alongside the error. Live polls also
+  // pick up which NFL games have kicked off, for the win odds.
+  const load = useCallback(async (fresh = false) => {
+    try {
+      const [{ value: next, source: from, fallback }, weekGames] = await Promise.all([fetchWeek(fresh), live ? loadWeekGames(week, fresh) : null])
+      if (previous.current) setChanges(diffMatchups(previous.current, next))
+      previous.current = next
+      setMatchups(next)
+      setGames(weekGames)
+      setSource({ source: from, fallback })
+      setError(null)
+    } catch (e) {
+      setError(e)
+    }
+    setLoading(false)
+  }, [fetchWeek, live, week])
+  
+  useEffect(() => {
+    if (!ready) return
+    previous.current = null
+    setChanges({})
+    setLoading(true)
+    load()
+  }, [ready, load])
+  
+  // Poll while live; hidden tabs back off, and catch up as soon as they're visible again
+  useEffect(() => {
+    if (!ready || !live) return
+    const interval = liveInterval() * 1000
+    let timer = null
+    let cancelled = false
+    const schedule = () => {
+      const delay = document.hidden ? Math.min(interval * HIDDEN_BACKOFF, MAX_HIDDEN_DELAY) : interval
+      timer = setTimeout(async () => {
+        await load(true)
+        if (!cancelled) schedule()
+      }, delay)
+    }
+    const onVisibility = () => {
+      if (document.hidden) return
+      clearTimeout(timer)
+      load(true).then(() => { if (!cancelled) schedule() })
+    }
+    schedule()
+    document.addEventListener('visibilitychange', onVisibility)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+      document.removeEventListener('visibilitychange', onVisibility)
+    }
+  }, [ready, live, load])
+  
+  return { matchups, games, loading, changes, error, ...source }
+}
+
+// True while games are on and live mode is enabled; re-checked every minute
+function useLiveWindow(nflState) {
+  const check = useCallback(() => ['regular', 'post'].includes(nflState?.season_type) && liveInterval() > 0 && isGameWindow(), [nflState])
+  const [live, setLive] = useState(check)
+  
+  useEffect(() => {
+    setLive(check())
+    const timer = setInterval(() => setLive(check()), 60 * 1000)
+    return () => clearInterval(timer)
+  }, [check])
+  
+  return live
+}
+
+// Raw transactions for every week of the active season so far
+function useTransactions(currentWeek) {
+  const [state, setState] = useState({ loading: true, error: null, transactions: [] })
+  
+  useEffect(() => {
+    let cancelled = false
+    const weeks = Math.max(1, currentWeek || 1)
+    setState(s => ({ ...s, loading: true }))
+    Promise.all(Array.from({ length: weeks }, (_, i) => sleeperApi.transactions(i + 1)))
+      .then(results => { if (!cancelled) setState({ loading: false, error: null, transactions: results.filter(Array.isArray).flat() }) })
+      .catch(e => { if (!cancelled) setState({ loading: false, error: e, transactions: [] }) })
+    return () => { cancelled = true }
+  }, [currentWeek])
+  
+  return state
+}
+
+function useDraftBoard() {
+  const [board, setBoard] = useState({ loading: true, error: null, drafts: [], tradedPicks: [] })
+  
+  useEffect(() => {
+    let cancelled = false
+    Promise.all([loadDrafts(activeLeague().id), sleeperApi.tradedPicks()])
+      .then(([drafts, tradedPicks]) => { if (!cancelled) setBoard({ loading: false, error: null, drafts, tradedPicks: tradedPicks || [] }) })
+      .catch(e => { if (!cancelled) setBoard({ loading: false, error: e.message, drafts: [], tradedPicks: [] }) })
+    return () => { cancelled = true }
+  }, [])
+  
+  return board
+}
+
+// Picks for one draft, plus the rosterMap of the season it belongs to (null if that can't be loaded):
+// teams change hands, so this season's names would be wrong for older drafts
+function useDraftPicks(draftId, leagueId) {
+  const [picks, setPicks] = useState({ loading: true, error: null, picks: [], rosterMap: null })
+  
+  useEffect(() => {
+    if (!draftId) return
+    let cancelled = false
+    setPicks({ loading: true, error: null, picks: [], rosterMap: null })
+    Promise.all([sleeperApi.draftPicks(draftId), optional(sleeperApi.users(leagueId)), optional(sleeperApi.rosters(leagueId))])
+      .then(([p, users, rosters]) => {
+        const rosterMap = users && rosters ? buildRosterMap(rosters, buildUserMap(users)) : null
+        if (!cancelled) setPicks({ loading: false, error: null, picks: p || [], rosterMap })
+      })
+      .catch(e => { if (!cancelled) setPicks({ loading: false, error: e, picks: [], rosterMap: null }) })
+    return () => { cancelled = true }
+  }, [draftId, leagueId])
+  
+  return picks
+}
+
+// Per-week scores, cumulative PF and standings rank, built from Sleeper matchups
+// Finished weeks only, so a week in progress never shows up as a rank change
+function useWeeklyHistory(data) {
+  const { weeks } = useSeasonMatchups(lastCompletedWeek(data.nflState, data.currentWeek))
+  const format = useMemo(() => data.format || leagueFormat(data.league, data.rosters.length), [data.format, data.league, data.rosters])
+  return useMemo(() => buildWeeklyHistory(weeks, format, divisionsOf(data.rosters)), [weeks, format, data.rosters])
+}
+
+// lastWeek: the last finished week; awards never come from partial scores
+function useAwards(lastWeek, rosterMap) {
+  const [awards, setAwards] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  
+  useEffect(() => {
+    // Nothing has finished yet in week 1
+    if (lastWeek < 1) {
+      setAwards([])
+      setLoading(false)
+      return
+    }
+    // The roster map names the winners
+    if (Object.keys(rosterMap).length === 0) return
+    let cancelled = false
+    setLoading(true)
+    
+    // Last 3 weeks of awards, fetched side by side
+    const weeks = []
+    for (let w = Math.max(1, lastWeek - 2); w <= lastWeek; w++) weeks.push(w)
+    
+    Promise.all(weeks.map(w => fetchWeekAwards(w, rosterMap)))
+      .then(result => {
+        if (cancelled) return
+        setAwards(result.filter(Boolean).reverse())
+        setError(null)
+        setLoading(false)
+      })
+      .catch(e => {
+        if (cancelled) return
+        setError(e)
+        setLoading(false)
+      })
+    return () => { cancelled = true }
+  }, [lastWeek, rosterMap])
+  
+  return { awards, loading, error }
+}
+
+function useLedger(leagueId) {
+  const [ledger, setLedger] = useState(() => ledgerFor(leagueId))
+  const update = useCallback((next) => {
+    saveLedger(leagueId, next)
+    setLedger(next)
+  }, [leagueId])
+  return [ledger, update]
+}
+
+// Weekly award winners for every completed regular-season week plus the bracket finish
+function useLedgerCredits(data, payouts) {
+  const completed = lastCompletedWeek(data.nflState, data.currentWeek)
+  const { weeks, loading, error } = useSeasonMatchups(completed)
+  const [bracket, setBracket] = useState(null)
+  const playoffWeekStart = data.format?.playoffWeekStart || 15
+  
+  useEffect(() => {
+    let cancelled = false
+    optional(sleeperApi.winnersBracket()).then(b => { if (!cancelled) setBracket(Array.isArray(b) ? b : []) })
+    return () => { cancelled = true }
+  }, [])
+  
+  const credits = useMemo(() => {
+    const weeklyAwards = Object.entries(weeks)
+      .filter(([week]) => Number(week) < playoffWeekStart)
+      .map(([week, entries]) => computeWeeklyAwards(Number(week), entries, data.rosterMap))
+      .filter(Boolean)
+    return ledgerCredits({ weeklyAwards, finish: bracketFinish(bracket), payouts })
+  }, [weeks, bracket, playoffWeekStart, data.rosterMap, payouts])
+  
+  return { credits, regularWeeks: playoffWeekStart - 1, loading: loading || !bracket, error }
+}
+
+function useAlertHistory() {
+  const [history, setHistory] = useState(() => alertCenter.load().history)
+  
+  useEffect(() => {
+    const update = () => setHistory(alertCenter.load().history)
+    alertCenter.listeners.add(update)
+    update()
+    return () => { alertCenter.listeners.delete(update) }
+  }, [])
+  
+  return history
+}
+
+// Watches league data and this week's scores for the alert rules. Runs for the whole app, not one page.
+function useAlerts(data, config) {
+  const leagueId = activeLeague().id
+  const myRosterId = config.leagues.find(l => l.id === leagueId)?.myRosterId ?? null
+  const { rules } = alertSettings()
+  // Replays and time travel rewrite history; diffing them would fire stale alerts
+  const watching = !config.replay
+  // Score alerts come from the live polls, read from Sleeper even when the backend serves the pages
+  const watchScores = watching && liveInterval() > 0 && myRosterId != null && (rules.close_game || rules.lead_change)
+  const isLive = useLiveWindow(data.nflState)
+  const { matchups, games } = useMatchups(watchScores ? data.currentWeek : null, data.rosterMap, { live: watchScores && isLive, direct: true })
+  const { players } = usePlayers(watchScores && isLive && rules.close_game)
+  const previousMatchups = useRef({ week: null, matchups: [] })
+  
+  useEffect(() => {
+    // Preliminary ranks (before head-to-head tiebreaks) would look like standings moves
+    if (!watching || data.loading || data.error || !data.rankingFinal || data.standings.length === 0) return
+    const snapshot = leagueSnapshot(data)
+    const previous = alertCenter.swapSnapshot(leagueId, snapshot)
+    if (previous) alertCenter.push(leagueId, leagueEvents(previous, snapshot, data, myRosterId))
+    // data itself is a new object every render; these only change when a refresh lands
+  }, [data.loading, data.error, data.rankingFinal, data.standings, data.trades, leagueId, myRosterId, watching])
+  
+  useEffect(() => {
+    if (!watchScores || matchups.length === 0) return
+    const previous = previousMatchups.current
+    previousMatchups.current = { week: data.currentWeek, matchups }
+    if (previous.week === data.currentWeek) alertCenter.push(leagueId, matchupEvents(previous.matchups, matchups, myRosterId, data.currentWeek, { players, games }))
+    // players and games only matter alongside a new poll
+  }, [matchups, watchScores, data.currentWeek, leagueId, myRosterId])
+}
+
+// ============== COMPONENTS ==============
+const buttonStyle = { background: colors.navyLight, border: 'none', color: colors.white, padding: '8px 12px', borderRadius: '6px', cursor: 'pointer', fontSize: '12px', fontWeight: 600 }
+const inputStyle = { background: colors.navyLight, border: `1px solid ${colors.navyLight}`, color: colors.white, padding: '10px 12px', borderRadius: '8px', fontSize: '13px', outline: 'none' }
+
+const Card = ({ children, style = {}, onClick }) => (
+  <div onClick={onClick} style={{ background: `linear-gradient(145deg, ${colors.navy} 0%, ${colors.navyDark} 100%)`, borderRadius: '16px', padding: '20px', border: `1px solid ${colors.navyLight}`, boxShadow: '0 4px 20px rgba(0,0,0,0.25)', cursor: onClick ? 'pointer' : 'default', ...style }}>{children}</div>
+)
+
+const LiveBadge = () => (
+  <span style={{ background: colors.danger, color: colors.white, padding: '3px 10px', borderRadius: '12px', fontSize: '10px', fontWeight: 700, textTransform: 'uppercase', display: 'inline-flex', alignItems: 'center', gap: '4px' }}>
+    <span style={{ width: '6px', height: '6px', background: colors.white, borderRadius: '50%', animation: 'pulse 1.5s infinite' }} />LIVE
+  </span>
+)
+
+const LoadingSpinner = () => (
+  <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', padding: '60px 20px' }}>
+    <RefreshCw size={32} color={colors.accent} style={{ animation: 'spin 1s linear infinite' }} />
+  </div>
+)
+
+const ViewToggle = ({ options, value, onChange }) => (
+  <div style={{ display: 'flex', gap: '6px' }}>
+    {options.map(o => (
+      <button key={o.id} onClick={() => onChange(o.id)} style={{ ...buttonStyle, background: value === o.id ? colors.accent : colors.navyLight }}>{o.label}</button>
+    ))}
+  </div>
+)
+
+const chartPalette = ['#4a90d9', '#ffd700', '#2ed573', '#ff4757', '#ffa502', '#a55eea', '#26de81', '#fd9644', '#45aaf2', '#fc5c65', '#d1d8e0', '#4b7bec']
+
+const TrendCharts = ({ history, rosterMap, initialTeams }) => {
+  const [mode, setMode] = useState('scores')
+  const teamIds = Object.keys(rosterMap).map(Number)
+  // Default to the current top four by points for
+  const latest = history[history.length - 1]
+  const defaults = initialTeams || (latest ? [...teamIds].sort((a, b) => (latest.cumulative[b] || 0) - (latest.cumulative[a] || 0)).slice(0, 4) : [])
+  const [selected, setSelected] = useState(null)
+  const active = selected || defaults
+  
+  const toggle = (id) => setSelected(active.includes(id) ? active.filter(t => t !== id) : [...active, id])
+  const colorOf = (id) => chartPalette[teamIds.indexOf(id) % chartPalette.length]
+  const rows = history.map(h => {
+    const row = { week: h.week }
+    active.forEach(id => { row[`t${id}`] = h[mode][id] })
+    return row
+  })
+  
+  if (history.length === 0) return null
+  
+  const axis = { stroke: colors.silver, fontSize: 10 }
+  const tooltip = { contentStyle: { background: colors.navyDark, border: `1px solid ${colors.navyLight}`, borderRadius: '8px', fontSize: '12px' }, labelFormatter: (w) => `Week ${w}` }
+  const series = active.map(id => ({ id, key: `t${id}`, name: rosterMap[id]?.name || `Team ${id}`, color: colorOf(id) }))
+  
+  return (
+    <Card>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px', gap: '8px', flexWrap: 'wrap' }}>
+        <h2 style={{ fontSize: '16px', fontWeight: 700, color: colors.white, margin: 0 }}>📈 SEASON TRENDS</h2>
+        <ViewToggle options={[{ id: 'scores', label: 'WEEKLY' }, { id: 'cumulative', label: 'PF RACE' }, { id: 'ranks', label: 'RANK' }]} value={mode} onChange={setMode} />
+      </div>
+      <div style={{ height: '220px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          {mode === 'cumulative' ? (
+            <AreaChart data={rows}>
+              <CartesianGrid stroke={colors.navyLight} strokeDasharray="3 3" />
+              <XAxis dataKey="week" {...axis} />
+              <YAxis {...axis} width={40} />
+              <Tooltip {...tooltip} />
+              {series.map(t => <Area key={t.key} type="monotone" dataKey={t.key} name={t.name} stroke={t.color} fill={t.color} fillOpacity={0.1} strokeWidth={2} />)}
+            </AreaChart>
+          ) : (
+            <LineChart data={rows}>
+              <CartesianGrid stroke={colors.navyLight} strokeDasharray="3 3" />
+              <XAxis dataKey="week" {...axis} />
+              {mode === 'ranks'
+                ? <YAxis {...axis} width={30} reversed domain={[1, Math.max(1, teamIds.length)]} allowDecimals={false} />
+                : <YAxis {...axis} width={40} />}
+              <Tooltip {...tooltip} />
+              {series.map(t => <Line key={t.key} type="monotone" dataKey={t.key} name={t.name} stroke={t.color} strokeWidth={2} dot={{ r: 3 }} />)}
+            </LineChart>
+          )}
+        </ResponsiveContainer>
+      </div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '12px' }}>
+        {teamIds.map(id => (
+          <button key={id} onClick={() => toggle(id)} style={{ background: active.includes(id) ? colorOf(id) + '30' : 'none', border: `1px solid ${active.includes(id) ? colorOf(id) : colors.navyLight}`, color: active.includes(id) ? colors.white : colors.silver, padding: '4px 10px', borderRadius: '12px', cursor: 'pointer', fontSize: '11px' }}>
+            {rosterMap[id]?.name || `Team ${id}`}
+          </button>
+        ))}
+      </div>
+    </Card>
+  )
+}
+
+// Data older than this gets a "data as of" note even while online
+const STALE_BANNER_MS = 2 * 60 * 1000
+
+const FreshnessBanner = () => {
+  const { asOf, online } = useFreshness()
+  const stale = asOf && Date.now() - asOf > STALE_BANNER_MS
+  if (online && !stale) return null
+  const when = asOf ? new Date(asOf).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' }) : null
+  
+  return (
+    <div style={{ background: online ? colors.navyLight : colors.warning + '30', color: online ? colors.silver : colors.warning, fontSize: '11px', fontWeight: 600, textAlign: 'center', padding: '6px 12px', letterSpacing: '0.5px' }}>
+      {online ? `🕒 Saved data as of ${when} • refreshing...` : `📡 Offline${when ? ` • data as of ${when}` : ''}`}
+    </div>
+  )
+}
+
+// What to try next for each DataError kind
+const ERROR_HINTS = {
+  network: 'Check your connection, or the API URL in Settings.',
+  timeout: 'The server is slow to respond. Try again in a moment.',
+  http: 'The server rejected the request. Check the league ID in Settings.',
+  parse: 'The server answered with something other than league data.',
+  config: 'Set an API URL in Settings or switch to direct Sleeper.',
+  fixture: 'Record this page with the network on, or turn replay off in Settings.'
+}
+
+// Hooks store either a DataError or a plain message
+const errorMessage = (error) => typeof error === 'string' ? error : error?.message || 'Something went wrong'
+
+const ErrorNotice = ({ error, onRetry }) => (
+  <Card style={{ textAlign: 'center', padding: '32px 20px' }}>
+    <p style={{ color: colors.danger, margin: 0, fontWeight: 600 }}>⚠️ {errorMessage(error)}</p>
+    {ERROR_HINTS[error?.kind] && <p style={{ color: colors.silver, margin: '8px 0 0 0', fontSize: '12px' }}>{ERROR_HINTS[error.kind]}</p>}
+    {onRetry && <button onClick={onRetry} style={{ ...buttonStyle, marginTop: '16px' }}>TRY AGAIN</button>}
+  </Card>
+)
+
+// App-wide strip for when the core league data failed to load
+const ErrorBanner = ({ error, onRetry }) => {
+  if (!error) return null
+  return (
+    <div onClick={onRetry} style={{ background: colors.danger + '30', color: colors.danger, fontSize: '11px', fontWeight: 600, textAlign: 'center', padding: '6px 12px', letterSpacing: '0.5px', cursor: 'pointer' }}>
+      ⚠️ {errorMessage(error)} • tap to retry
+    </div>
+  )
+}
+
+// Shown while the backend is configured but Sleeper is serving the league instead
+const FallbackBanner = ({ fallback }) => {
+  if (!fallback) return null
+  return (
+    <div style={{ background: colors.warning + '30', color: colors.warning, fontSize: '11px', fontWeight: 600, textAlign: 'center', padding: '6px 12px', letterSpacing: '0.5px' }}>
+      ⚠️ {errorMessage(fallback)} • falling back to Sleeper
+    </div>
+  )
+}
+
+// Which source served the data on screen
+const SourceTag = ({ source, fallback }) => {
+  if (!source) return null
+  return (
+    <span title={fallback ? errorMessage(fallback) : undefined} style={{ color: fallback ? colors.warning : colors.silver }}>
+      via {SOURCE_LABELS[source]}{fallback ? ' (fallback)' : ''}
+    </span>
+  )
+}
+
+// Replay controls: step the recorded league through its season one week at a time
+const TimeTravelBar = ({ config, onConfigChange }) => {
+  if (!config.replay) return null
+  const week = config.timeTravelWeek ?? null
+  const travel = (w) => onConfigChange({ ...config, timeTravelWeek: w })
+  const stepStyle = { background: 'none', border: 'none', color: colors.gold, cursor: 'pointer', fontSize: '14px', fontWeight: 700, padding: '0 8px' }
+  
+  return (
+    <div style={{ background: colors.gold + '20', color: colors.gold, fontSize: '11px', fontWeight: 600, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '8px', padding: '4px 12px', letterSpacing: '0.5px' }}>
+      <span>🎞️ REPLAY</span>
+      <button onClick={() => travel(week ? Math.max(1, week - 1) : SEASON_WEEKS)} style={stepStyle}>‹</button>
+      <select value={week ?? ''} onChange={(e) => travel(e.target.value ? Number(e.target.value) : null)} style={{ ...inputStyle, padding: '2px 6px', fontSize: '11px' }}>
+        <option value="">All recorded weeks</option>
+        {Array.from({ length: SEASON_WEEKS }, (_, i) => <option key={i + 1} value={i + 1}>Week {i + 1}</option>)}
+      </select>
+      <button onClick={() => week && travel(week < SEASON_WEEKS ? week + 1 : null)} disabled={!week} style={{ ...stepStyle, opacity: week ? 1 : 0.4 }}>›</button>
+    </div>
+  )
+}
+
+// "Share Week": recap card image plus a Markdown version for the group chat
+const ShareWeek = ({ data, week }) => {
+  const [share, setShare] = useState(null)
+  const [status, setStatus] = useState(null)
+  
+  useEffect(() => () => { if (share?.imageUrl) URL.revokeObjectURL(share.imageUrl) }, [share])
+  
+  const open = async () => {
+    setShare({ loading: true })
+    setStatus(null)
+    try {
+      const recap = await loadWeekRecap(week, data)
+      const blob = await canvasBlob(await drawRecapCard(recap))
+      setShare({ loading: false, markdown: recapMarkdown(recap), blob, imageUrl: URL.createObjectURL(blob) })
+    } catch (e) {
+      setShare(null)
+      setStatus(errorMessage(e))
+    }
+  }
+  
+  const copy = async (what) => {
+    try {
+      if (what === 'image') await navigator.clipboard.write([new ClipboardItem({ 'image/png': share.blob })])
+      else await navigator.clipboard.writeText(share.markdown)
+      setStatus(what === 'image' ? 'Image copied' : 'Text copied')
+    } catch (e) {
+      setStatus('Clipboard not available here, try downloading instead')
+    }
+  }
+  
+  if (!share) {
+    return (
+      <>
+        <button onClick={open} style={buttonStyle}>📤 SHARE WEEK</button>
+        {status && <div style={{ fontSize: '11px', color: colors.danger, marginTop: '6px' }}>{status}</div>}
+      </>
+    )
+  }
+  
+  return (
+    <Card style={{ marginTop: '12px', padding: '16px', textAlign: 'left' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <span style={{ fontSize: '13px', fontWeight: 700, color: colors.accent }}>📤 WEEK {week} RECAP</span>
+        <button onClick={() => setShare(null)} style={{ ...buttonStyle, background: 'none' }}>✕</button>
+      </div>
+      {share.loading ? <LoadingSpinner /> : (
+        <>
+          <img src={share.imageUrl} alt={`Week ${week} recap`} style={{ width: '100%', borderRadius: '8px', marginBottom: '12px' }} />
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+            {window.ClipboardItem && <button onClick={() => copy('image')} style={buttonStyle}>COPY IMAGE</button>}
+            <button onClick={() => downloadFile(`misfits-week-${week}.png`, share.blob, 'image/png')} style={buttonStyle}>DOWNLOAD PNG</button>
+            <button onClick={() => copy('text')} style={buttonStyle}>COPY TEXT</button>
+            <button onClick={() => downloadFile(`misfits-week-${week}.md`, share.markdown, 'text/markdown')} style={buttonStyle}>DOWNLOAD .MD</button>
+          </div>
+          {status && <div style={{ fontSize: '11px', color: colors.silver, marginTop: '8px' }}>{status}</div>}
+        </>
+      )}
+    </Card>
+  )
+}
+
+const StatCard = ({ icon, value, label, color = colors.white }) => (
+  <Card style={{ textAlign: 'center', padding: '16px' }}>
+    <div style={{ fontSize: '28px', marginBottom: '6px' }}>{icon}</div>
+    <div style={{ fontSize: '20px', fontWeight: 700, color, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{value}</div>
+    <div style={{ fontSize: '10px', color: colors.silver, letterSpacing: '1px', marginTop: '4px' }}>{label}</div>
+  </Card>
+)
+
+// ============== PAGES ==============
+const Dashboard = ({ data, setActiveTab }) => {
+  const { standings, currentWeek, nflState } = data
+  const isLive = useLiveWindow(nflState)
+  const { matchups, games, changes, error: matchupsError } = useMatchups(currentWeek, data.rosterMap, { live: isLive })
+  const { players } = usePlayers(isLive)
+  const weeklyHistory = useWeeklyHistory(data)
+  const leader = standings[0]
+  const highestPF = standings.length > 0 ? Math.max(...standings.map(s => s.pf)) : 0
+  const longestStreak = standings.reduce((max, s) => { const streak = s.streak?.match(/W(\d+)/)?.[1] || 0; return Math.max(max, parseInt(streak) || 0) }, 0)
+  
+  return (
+    <div style={{ padding: '20px', display: 'flex', flexDirection: 'column', gap: '20px' }}>
+      <Card style={{ background: `linear-gradient(135deg, ${colors.navy} 0%, ${colors.navyDark} 50%, ${colors.navyDeep} 100%)`, position: 'relative', overflow: 'hidden' }}>
+        <div style={{ position: 'absolute', top: '-60px', right: '-60px', width: '200px', height: '200px', background: `radial-gradient(circle, ${colors.accent}25 0%, transparent 70%)`, borderRadius: '50%' }} />
+        <div style={{ position: 'relative', zIndex: 1 }}>
+          <div style={{ fontSize: '11px', color: colors.accent, fontWeight: 600, letterSpacing: '2px', marginBottom: '10px' }}>WEEK {currentWeek} • {nflState?.season || 2024} SEASON</div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '12px' }}>
+            <img src="/logo.png" alt="League of Misfits" style={{ height: '50px', width: 'auto' }} />
+            <h1 style={{ fontFamily: "'Oswald', sans-serif", fontSize: '26px', color: colors.white, margin: 0, fontWeight: 700 }}>League of Misfits 🛡️</h1>
+          </div>
+          <p style={{ color: colors.silver, fontSize: '13px', margin: 0 }}>8 years of dynasty glory • Est. 2017</p>
+        </div>
+      </Card>
+      
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '12px' }}>
+        <StatCard icon="👑" value={leader?.name || '...'} label="1ST PLACE" color={colors.gold} />
+        <StatCard icon="📊" value={highestPF.toFixed(1)} label="TOP SCORER" color={colors.accent} />
+        <StatCard icon="🔥" value={longestStreak || '-'} label="WIN STREAK" color={colors.success} />
+        <StatCard icon="⚔️" value={matchups.length} label="MATCHUPS" color={colors.white} />
+      </div>
+      
+      <Card>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+          <h2 style={{ fontSize: '16px', fontWeight: 700, color: colors.white, margin: 0 }}>⚔️ THIS WEEK'S MATCHUPS</h2>
+          {isLive && <LiveBadge />}
+        </div>
+        {matchups.length > 0 ? (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+            {matchups.map((m, i) => {
+              const change = changes[matchupKey(m)]
+              return (
+                <div key={i} style={{ padding: '12px', background: colors.navyLight + '20', borderRadius: '8px', animation: change?.leadChanged ? 'flash 1.5s ease-out 2' : 'none' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <div style={{ flex: 1, textAlign: 'left' }}>
+                      <div style={{ fontSize: '13px', fontWeight: 600, color: colors.white }}>{m.team1}</div>
+                      <div style={{ fontSize: '18px', fontWeight: 700, color: colors.accent }}>{m.score1.toFixed(1)} <ScoreDelta value={change?.delta1} /></div>
+                    </div>
+                    <div style={{ textAlign: 'center', color: colors.silver, fontSize: '12px', fontWeight: 600 }}>VS</div>
+                    <div style={{ flex: 1, textAlign: 'right' }}>
+                      <div style={{ fontSize: '13px', fontWeight: 600, color: colors.white }}>{m.team2}</div>
+                      <div style={{ fontSize: '18px', fontWeight: 700, color: colors.accent }}><ScoreDelta value={change?.delta2} /> {m.score2.toFixed(1)}</div>
+                    </div>
+                  </div>
+                  {isLive && <LiveOdds matchup={m} players={players} games={games} leadChanged={change?.leadChanged} />}
+                </div>
+              )
+            })}
+          </div>
+        ) : matchupsError ? (
+          <p style={{ color: colors.danger, textAlign: 'center', margin: 0 }}>⚠️ {errorMessage(matchupsError)}</p>
+        ) : (
+          <p style={{ color: colors.silver, textAlign: 'center', margin: 0 }}>No matchups yet</p>
+        )}
+      </Card>
+      
+      <TrendCharts history={weeklyHistory} rosterMap={data.rosterMap} />
+    </div>
+  )
+}
+
+const ScoreDelta = ({ value }) => value > 0 ? (
+  <span style={{ fontSize: '11px', fontWeight: 700, color: colors.success, animation: 'pulse 1s ease-in-out 3' }}>+{value.toFixed(1)}</span>
+) : null
+
+// Win-probability bar for a live matchup, plus starters still to play on each side
+const LiveOdds = ({ matchup, players, games, leadChanged }) => {
+  const odds = winProbability(matchup, players, games)
+  if (!odds) return leadChanged ? <div style={{ fontSize: '10px', fontWeight: 700, color: colors.warning, marginTop: '8px', textAlign: 'center' }}>🔄 LEAD CHANGE</div> : null
+  const p1 = Math.round(odds.prob1 * 100)
+  return (
+    <div style={{ marginTop: '10px' }}>
+      <div style={{ display: 'flex', height: '6px', borderRadius: '3px', overflow: 'hidden', background: colors.navyDeep }}>
+        <div style={{ width: `${p1}%`, background: colors.accent, transition: 'width 0.6s' }} />
+        <div style={{ flex: 1, background: colors.silver + '60' }} />
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', color: colors.silver, marginTop: '4px' }}>
+        <span>{p1}% • {odds.left1} to play</span>
+        {leadChanged && <span style={{ fontWeight: 700, color: colors.warning }}>🔄 LEAD CHANGE</span>}
+        <span>{odds.left2} to play • {100 - p1}%</span>
+      </div>
+    </div>
+  )
+}
+
+const efficiencyColor = (efficiency) => efficiency >= 0.95 ? colors.success : efficiency >= 0.85 ? colors.warning : colors.danger
+
+const playerLabel = (players, id) => id ? players[id]?.name || id : 'an empty slot'
+
+// One side of a matchup's coach's report
+const LineupGrade = ({ report, players, align = 'left' }) => {
+  if (!report) return <div style={{ flex: 1 }} />
+  const blunder = report.blunders[0]
+  return (
+    <div style={{ flex: 1, minWidth: 0, textAlign: align }}>
+      <div style={{ fontSize: '13px', fontWeight: 700, color: efficiencyColor(report.efficiency) }}>{(report.efficiency * 100).toFixed(0)}%</div>
+      <div style={{ fontSize: '10px', color: colors.silver }}>{report.optimal.toFixed(1)} possible • {report.left.toFixed(1)} on bench</div>
+      {blunder && (
+        <div style={{ fontSize: '10px', color: colors.silver, marginTop: '2px' }}>
+          Sat {playerLabel(players, blunder.benched.id)} ({blunder.benched.points.toFixed(1)}) for {playerLabel(players, blunder.started.id)} ({blunder.started.points.toFixed(1)})
+        </div>
+      )}
+    </div>
+  )
+}
+
+const Movement = ({ value }) => (
+  <span style={{ fontSize: '11px', fontWeight: 700, color: value > 0 ? colors.success : value < 0 ? colors.danger : colors.silver }}>
+    {value > 0 ? `▲${value}` : value < 0 ? `▼${-value}` : '–'}
+  </span>
+)
+
+const PowerRankings = ({ data, openTeam }) => {
+  const { weeks, loading } = useSeasonMatchups(lastCompletedWeek(data.nflState, data.currentWeek))
+  const rankings = useMemo(() => buildPowerRankings(weeks), [weeks])
+  
+  if (loading) return <LoadingSpinner />
+  if (rankings.length === 0) {
+    return (
+      <Card style={{ textAlign: 'center', padding: '40px 20px' }}>
+        <p style={{ color: colors.silver, margin: 0 }}>Power rankings start after week 1</p>
+      </Card>
+    )
+  }
+  
+  return rankings.map(t => {
+    const standing = data.standings.find(s => s.rosterId === t.rosterId)
+    const team = data.rosterMap[t.rosterId]
+    return (
+      <Card key={t.rosterId} onClick={() => openTeam(t.rosterId)} style={{ padding: '16px' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          <div style={{ minWidth: '36px', textAlign: 'center' }}>
+            <div style={{ fontSize: '22px', fontWeight: 700, color: t.rank === 1 ? colors.gold : colors.silver }}>{t.rank}</div>
+            <Movement value={t.movement} />
+          </div>
+          {team?.avatar && <img src={team.avatar} alt={team.name} style={{ width: '36px', height: '36px', borderRadius: '50%', objectFit: 'cover' }} />}
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ fontSize: '14px', fontWeight: 600, color: colors.white }}>{standing?.name || team?.name || `Team ${t.rosterId}`}</div>
+            <div style={{ fontSize: '11px', color: colors.silver }}>
+              All-play {t.allPlayWins}-{t.allPlayLosses}{t.allPlayTies ? `-${t.allPlayTies}` : ''} • Standings #{standing?.rank ?? '-'} • PA rank {t.paRank}
+            </div>
+          </div>
+          <div style={{ textAlign: 'right' }}>
+            <div style={{ fontSize: '14px', fontWeight: 700, color: t.luck >= 0 ? colors.success : colors.danger }}>{t.luck >= 0 ? '+' : ''}{t.luck.toFixed(1)}</div>
+            <div style={{ fontSize: '10px', color: colors.silver }}>luck</div>
+          </div>
+        </div>
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '10px', fontSize: '11px', color: colors.silver }}>
+          <span>{t.wins} W vs {t.expectedWins.toFixed(1)} expected</span>
+          <span>Form {t.form.toFixed(1)} • Avg {t.avgPf.toFixed(1)}</span>
+        </div>
+      </Card>
+    )
+  })
+}
+
+const pct = (x) => `${(x * 100).toFixed(x > 0 && x < 0.01 ? 1 : 0)}%`
+
+const PlayoffOdds = ({ data, openTeam }) => {
+  const { loading, error, results, magic, remainingWeeks, playoffTeams } = usePlayoffOdds(data)
+  
+  if (loading) return <LoadingSpinner />
+  if (error) {
+    return (
+      <Card style={{ textAlign: 'center', padding: '40px 20px' }}>
+        <p style={{ color: colors.danger, margin: 0 }}>{error}</p>
+      </Card>
+    )
+  }
+  
+  const sorted = [...results].sort((a, b) => b.playoffPct - a.playoffPct || a.avgSeed - b.avgSeed)
+  
+  return (
+    <>
+      <div style={{ fontSize: '11px', color: colors.silver, textAlign: 'center' }}>
+        {SIM_ITERATIONS.toLocaleString()} SIMS • {remainingWeeks} WEEKS LEFT • TOP {playoffTeams} MAKE IT
+      </div>
+      {sorted.map(r => {
+        const team = data.rosterMap[r.rosterId]
+        const m = magic[r.rosterId]
+        return (
+          <Card key={r.rosterId} onClick={() => openTeam(r.rosterId)} style={{ display: 'flex', alignItems: 'center', gap: '12px', padding: '16px' }}>
+            {team?.avatar && <img src={team.avatar} alt={team.name} style={{ width: '36px', height: '36px', borderRadius: '50%', objectFit: 'cover' }} />}
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ fontSize: '14px', fontWeight: 600, color: colors.white }}>{team?.name || `Team ${r.rosterId}`}</div>
+              <div style={{ fontSize: '11px', color: colors.silver }}>
+                Proj. seed {r.avgSeed.toFixed(1)} • Bye {pct(r.byePct)} • {m?.clinched ? '✅ CLINCHED' : m?.eliminated ? '❌ ELIMINATED' : `Magic # ${m?.magic ?? '-'}`}
+              </div>
+            </div>
+            <div style={{ textAlign: 'right' }}>
+              <div style={{ fontSize: '18px', fontWeight: 700, color: r.playoffPct >= 0.5 ? colors.success : r.playoffPct > 0 ? colors.warning : colors.danger }}>{pct(r.playoffPct)}</div>
+              <div style={{ fontSize: '10px', color: colors.silver }}>playoffs</div>
+            </div>
+          </Card>
+        )
+      })}
+    </>
+  )
+}
+
+// Season leaderboard of actual vs optimal lineups
+const CoachingLeaderboard = ({ data, openTeam }) => {
+  const { weeks, loading, error } = useSeasonMatchups(lastCompletedWeek(data.nflState, data.currentWeek))
+  const { players, loading: playersLoading } = usePlayers()
+  const rows = useMemo(
+    () => playersLoading ? [] : buildSeasonEfficiency(weeks, data.league?.roster_positions, players, data.rosterMap),
+    [weeks, data.league, players, playersLoading, data.rosterMap]
+  )
+  
+  if (loading || playersLoading) return <LoadingSpinner />
+  if (error) return <ErrorNotice error={error} />
+  if (rows.length === 0) {
+    return (
+      <Card style={{ textAlign: 'center', padding: '40px 20px' }}>
+        <p style={{ color: colors.silver, margin: 0 }}>Coach's report starts after week 1</p>
+      </Card>
+    )
+  }
+  
+  return (
+    <>
+      {rows.map((t, i) => (
+        <Card key={t.rosterId} onClick={() => openTeam(t.rosterId)} style={{ display: 'flex', alignItems: 'center', gap: '12px', padding: '16px' }}>
+          <div style={{ fontSize: '20px', fontWeight: 700, color: i === 0 ? colors.gold : colors.silver, minWidth: '30px' }}>{i + 1}.</div>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ fontSize: '14px', fontWeight: 600, color: colors.white }}>{t.team}</div>
+            <div style={{ fontSize: '11px', color: colors.silver }}>
+              {t.left.toFixed(1)} pts left on bench • {t.perfectWeeks}/{t.weeks} perfect weeks
+            </div>
+            {t.worst && (
+              <div style={{ fontSize: '10px', color: colors.silver, marginTop: '2px' }}>
+                Worst call: week {t.worst.week}, sat {playerLabel(players, t.worst.benched.id)} for {playerLabel(players, t.worst.started.id)} (−{t.worst.gain.toFixed(1)})
+              </div>
+            )}
+          </div>
+          <div style={{ textAlign: 'right' }}>
+            <div style={{ fontSize: '18px', fontWeight: 700, color: efficiencyColor(t.efficiency) }}>{(t.efficiency * 100).toFixed(1)}%</div>
+            <div style={{ fontSize: '10px', color: colors.silver }}>efficiency</div>
+          </div>
+        </Card>
+      ))}
+      <div style={{ fontSize: '10px', color: colors.silver, textAlign: 'center' }}>Efficiency = points scored ÷ best possible lineup from the same roster</div>
+    </>
+  )
+}
+
+const ClinchMark = ({ team }) => {
+  const mark = team.clinchedDivision ? { label: 'y', color: colors.gold } : team.clinchedPlayoffs ? { label: 'x', color: colors.success } : team.eliminated ? { label: 'e', color: colors.danger } : null
+  if (!mark) return null
+  return <span style={{ fontSize: '10px', fontWeight: 700, color: mark.color, border: `1px solid ${mark.color}`, borderRadius: '4px', padding: '0 4px' }}>{mark.label}</span>
+}
+
+const PlayoffLine = () => (
+  <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '10px', fontWeight: 700, color: colors.accent, letterSpacing: '1px' }}>
+    <div style={{ flex: 1, borderTop: `1px dashed ${colors.accent}` }} />
+    PLAYOFF LINE
+    <div style={{ flex: 1, borderTop: `1px dashed ${colors.accent}` }} />
+  </div>
+)
+
+const Standings = ({ data, openTeam }) => {
+  const { standings, nflState, format } = data
+  const [view, setView] = useState('table')
+  
+  return (
+    <div style={{ padding: '20px', paddingBottom: '100px', display: 'flex', flexDirection: 'column', gap: '12px' }}>
+      <Card style={{ marginBottom: '12px' }}>
+        <h2 style={{ fontSize: '18px', fontWeight: 700, color: colors.white, margin: '0 0 12px 0' }}>📊 LEAGUE STANDINGS</h2>
+        <div style={{ fontSize: '13px', color: colors.silver, marginBottom: '12px' }}>WEEK {nflState?.week || 1} • {nflState?.season || 2024} SEASON • <SourceTag source={data.source} fallback={data.fallback} /></div>
+        <ViewToggle options={[{ id: 'table', label: 'STANDINGS' }, { id: 'power', label: '⚡ POWER' }, { id: 'odds', label: '🎲 ODDS' }, { id: 'coach', label: '📋 COACH' }]} value={view} onChange={setView} />
+      </Card>
+      {view === 'power' ? <PowerRankings data={data} openTeam={openTeam} /> : view === 'odds' ? <PlayoffOdds data={data} openTeam={openTeam} /> : view === 'coach' ? <CoachingLeaderboard data={data} openTeam={openTeam} /> : (
+        <>
+          {standings.map((s, i) => (
+            <React.Fragment key={s.rosterId ?? i}>
+              {format && i === format.playoffTeams && i < standings.length && <PlayoffLine />}
+              <Card onClick={s.rosterId != null ? () => openTeam(s.rosterId) : undefined} style={{ display: 'flex', alignItems: 'center', gap: '12px', padding: '16px', opacity: s.eliminated ? 0.6 : 1 }}>
+                <div style={{ fontSize: '24px', fontWeight: 700, color: i === 0 ? colors.gold : colors.silver, minWidth: '30px' }}>{s.rank}.</div>
+                {s.avatar && <img src={s.avatar} alt={s.name} style={{ width: '36px', height: '36px', borderRadius: '50%', objectFit: 'cover' }} />}
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', fontWeight: 600, color: colors.white }}>
+                    {s.name}
+                    {s.divisionLeader && <Crown size={13} color={colors.gold} />}
+                    <ClinchMark team={s} />
+                  </div>
+                  <div style={{ fontSize: '11px', color: colors.silver }}>
+                    {s.wins}W - {s.losses}L{s.ties ? ` - ${s.ties}T` : ''} • {s.pf.toFixed(1)} PF • {s.gamesBack > 0 ? `${s.gamesBack} GB` : '—'}
+                  </div>
+                  {s.divisionName && <div style={{ fontSize: '10px', color: colors.accent, marginTop: '2px' }}>{s.divisionName.toUpperCase()}</div>}
+                </div>
+                <div style={{ textAlign: 'right' }}>
+                  <div style={{ fontSize: '16px', fontWeight: 700, color: colors.accent }}>{s.pf.toFixed(0)}</div>
+                  <div style={{ fontSize: '10px', color: colors.silver }}>pts</div>
+                </div>
+              </Card>
+            </React.Fragment>
+          ))}
+          <div style={{ fontSize: '10px', color: colors.silver, textAlign: 'center', lineHeight: 1.6 }}>
+            <span style={{ color: colors.gold }}>y</span> clinched division • <span style={{ color: colors.success }}>x</span> clinched playoffs • <span style={{ color: colors.danger }}>e</span> eliminated
+            {format?.divisions ? <> • <Crown size={10} color={colors.gold} /> division leader</> : null}
+            <br />Ties go to head-to-head when all tied teams have met, then points for{format?.medianGame ? ' • records include the median game' : ''}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+const Matchups = ({ data, openTeam, week, setWeek }) => {
+  const isLive = useLiveWindow(data.nflState) && week === data.currentWeek
+  const { matchups, games, changes, error, source, fallback } = useMatchups(week, data.rosterMap, { live: isLive })
+  const [showReport, setShowReport] = useState(false)
+  const report = useLineupEfficiency(week, data, showReport)
+  const { players } = usePlayers(isLive || showReport)
+  // Nothing to share until somebody has scored
+  const played = matchups.some(m => m.score1 > 0 || m.score2 > 0)
+  
+  return (
+    <div style={{ padding: '20px', paddingBottom: '100px' }}>
+      <Card style={{ marginBottom: '16px' }}>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center', justifyContent: 'space-between' }}>
+          <button onClick={() => setWeek(Math.max(1, week - 1))} style={{ background: colors.navyLight, border: 'none', color: colors.white, padding: '8px 12px', borderRadius: '6px', cursor: 'pointer', fontSize: '12px', fontWeight: 600 }}>← PREV</button>
+          <span style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', fontWeight: 700, color: colors.accent }}>WEEK {week} {isLive && <LiveBadge />}</span>
+          <button onClick={() => setWeek(week + 1)} style={{ background: colors.navyLight, border: 'none', color: colors.white, padding: '8px 12px', borderRadius: '6px', cursor: 'pointer', fontSize: '12px', fontWeight: 600 }}>NEXT →</button>
+        </div>
+        {played && <div style={{ marginTop: '12px', textAlign: 'center' }}><ShareWeek key={week} data={data} week={week} /></div>}
+        {matchups.length > 0 && (
+          <div style={{ marginTop: '8px', textAlign: 'center' }}>
+            <button onClick={() => setShowReport(r => !r)} style={{ ...buttonStyle, background: showReport ? colors.accent : colors.navyLight, color: showReport ? colors.navyDark : colors.white }}>📋 COACH'S REPORT</button>
+          </div>
+        )}
+      </Card>
+      {matchups.length > 0 && (
+        <div style={{ fontSize: '11px', textAlign: 'center', margin: '-4px 0 12px 0' }}><SourceTag source={source} fallback={fallback} /></div>
+      )}
+      {showReport && report.loading && matchups.length > 0 && <LoadingSpinner />}
+      {showReport && report.error && matchups.length > 0 && (
+        <p style={{ color: colors.danger, fontSize: '12px', textAlign: 'center', margin: '0 0 12px 0' }}>⚠️ Coach's report: {errorMessage(report.error)}</p>
+      )}
+      {error && matchups.length > 0 && (
+        <p style={{ color: colors.danger, fontSize: '12px', textAlign: 'center', margin: '0 0 12px 0' }}>⚠️ {errorMessage(error)} • showing last scores</p>
+      )}
+      {matchups.length > 0 ? (
+        matchups.map((m, i) => {
+          const change = changes[matchupKey(m)]
+          return (
+            <Card key={i} style={{ marginBottom: '12px', animation: change?.leadChanged ? 'flash 1.5s ease-out 2' : 'none' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <div onClick={() => m.side1?.rosterId != null && openTeam(m.side1.rosterId)} style={{ flex: 1, cursor: m.side1?.rosterId != null ? 'pointer' : 'default' }}>
+                  <div style={{ fontSize: '13px', fontWeight: 600, color: colors.white, marginBottom: '4px' }}>{m.team1}</div>
+                  <div style={{ fontSize: '20px', fontWeight: 700, color: colors.accent }}>{m.score1.toFixed(1)} <ScoreDelta value={change?.delta1} /></div>
+                </div>
+                <div style={{ textAlign: 'center', color: colors.silver }}>VS</div>
+                <div onClick={() => m.side2?.rosterId != null && openTeam(m.side2.rosterId)} style={{ flex: 1, textAlign: 'right', cursor: m.side2?.rosterId != null ? 'pointer' : 'default' }}>
+                  <div style={{ fontSize: '13px', fontWeight: 600, color: colors.white, marginBottom: '4px' }}>{m.team2}</div>
+                  <div style={{ fontSize: '20px', fontWeight: 700, color: colors.accent }}><ScoreDelta value={change?.delta2} /> {m.score2.toFixed(1)}</div>
+                </div>
+              </div>
+              {isLive && <LiveOdds matchup={m} players={players} games={games} leadChanged={change?.leadChanged} />}
+              {showReport && !report.loading && (
+                <div style={{ display: 'flex', gap: '12px', marginTop: '10px', paddingTop: '10px', borderTop: `1px solid ${colors.navyLight}` }}>
+                  <LineupGrade report={report.reports[m.side1?.rosterId]} players={players} />
+                  <LineupGrade report={report.reports[m.side2?.rosterId]} players={players} align="right" />
+                </div>
+              )}
+            </Card>
+          )
+        })
+      ) : error ? (
+        <ErrorNotice error={error} />
+      ) : (
+        <Card style={{ textAlign: 'center', padding: '40px 20px' }}>
+          <p style={{ color: colors.silver, margin: 0 }}>No matchups for week {week}</p>
+        </Card>
+      )}
+    </div>
+  )
+}
+
+const AwardRow = ({ award, last }) => (
+  <div style={{ display: 'flex', gap: '12px', alignItems: 'flex-start', ...(last ? {} : { marginBottom: '12px', paddingBottom: '12px', borderBottom: `1px solid ${colors.navyLight}` }) }}>
+    <div style={{ fontSize: '22px', lineHeight: 1 }}>{award.emoji}</div>
+    <div style={{ flex: 1, minWidth: 0 }}>
+      <div style={{ fontSize: '11px', color: colors.silver, marginBottom: '4px' }}>{award.name.toUpperCase()}</div>
+      <div style={{ fontSize: '13px', fontWeight: 600, color: award.color }}>{winnerNames(award)}</div>
+      <div style={{ fontSize: '11px', color: colors.silver }}>{award.detail}</div>
+    </div>
+  </div>
+)
+
+const WeeklyAwards = ({ data }) => {
+  const { awards, loading, error } = useAwards(lastCompletedWeek(data.nflState, data.currentWeek), data.rosterMap)
+  
+  if (loading) return <LoadingSpinner />
+  if (error) return <ErrorNotice error={error} />
+  if (awards.length === 0) {
+    return (
+      <Card style={{ textAlign: 'center', padding: '40px 20px' }}>
+        <p style={{ color: colors.silver, margin: 0 }}>No awards data available</p>
+      </Card>
+    )
+  }
+  
+  return awards.map(week => (
+    <Card key={week.week} style={{ background: `linear-gradient(135deg, ${colors.navyLight} 0%, ${colors.navy} 100%)` }}>
+      <h3 style={{ fontSize: '14px', fontWeight: 700, color: colors.accent, margin: '0 0 12px 0' }}>WEEK {week.week}</h3>
+      {week.awards.map((award, i) => <AwardRow key={award.id} award={award} last={i === week.awards.length - 1} />)}
+      <div style={{ marginTop: '12px' }}><ShareWeek data={data} week={week.week} /></div>
+    </Card>
+  ))
+}
+
+const SeasonTrophies = ({ data }) => {
+  const { weeks, loading, error } = useSeasonMatchups(lastCompletedWeek(data.nflState, data.currentWeek))
+  const playoffStart = data.league?.settings?.playoff_week_start || 15
+  const trophies = useMemo(() => {
+    const regular = Object.fromEntries(Object.entries(weeks).filter(([week]) => Number(week) < playoffStart))
+    return computeSeasonTrophies(regular, data.rosterMap)
+  }, [weeks, data.rosterMap, playoffStart])
+  
+  if (loading) return <LoadingSpinner />
+  if (error) return <ErrorNotice error={error} />
+  if (trophies.length === 0) {
+    return (
+      <Card style={{ textAlign: 'center', padding: '40px 20px' }}>
+        <p style={{ color: colors.silver, margin: 0 }}>Season trophies start after week 1</p>
+      </Card>
+    )
+  }
+  
+  return (
+    <Card style={{ background: `linear-gradient(135deg, ${colors.navyLight} 0%, ${colors.navy} 100%)` }}>
+      <h3 style={{ fontSize: '14px', fontWeight: 700, color: colors.accent, margin: '0 0 4px 0' }}>{data.league?.season || ''} SEASON TROPHIES</h3>
+      <div style={{ fontSize: '11px', color: colors.silver, marginBottom: '12px' }}>{data.league?.status === 'complete' ? 'Final' : 'Leaders so far'} • regular season</div>
+      {trophies.map((award, i) => <AwardRow key={award.id} award={award} last={i === trophies.length - 1} />)}
+    </Card>
+  )
+}
+
+const AwardCounts = () => {
+  const { seasons, loading, error, progress } = useLeagueHistory()
+  const rules = awardRules()
+  const managers = useMemo(() => buildAwardCounts(seasons, rules), [seasons, rules])
+  
+  if (loading) {
+    return (
+      <div>
+        <LoadingSpinner />
+        <p style={{ color: colors.silver, textAlign: 'center', fontSize: '12px', margin: 0 }}>{progress ? `Counting ${progress} hardware...` : 'Opening the trophy case...'}</p>
+      </div>
+    )
+  }
+  if (error) return <ErrorNotice error={error} />
+  
+  return (
+    <Card style={{ padding: '16px', overflowX: 'auto' }}>
+      <h3 style={{ fontSize: '14px', fontWeight: 700, color: colors.accent, margin: '0 0 4px 0' }}>ALL-TIME AWARD COUNTS</h3>
+      <div style={{ fontSize: '11px', color: colors.silver, marginBottom: '12px' }}>{seasons.length} seasons • trophies from finished seasons only</div>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: 'left', color: colors.silver, padding: '4px', fontWeight: 600 }}>MANAGER</th>
+            {rules.map(r => <th key={r.id} title={r.name} style={{ padding: '4px', fontSize: '16px' }}>{r.emoji}</th>)}
+            <th style={{ color: colors.silver, padding: '4px', fontWeight: 600 }}>TOTAL</th>
+          </tr>
+        </thead>
+        <tbody>
+          {managers.map(m => (
+            <tr key={m.ownerId} style={{ borderTop: `1px solid ${colors.navyLight}` }}>
+              <td style={{ color: colors.white, padding: '6px 4px', fontWeight: 600, whiteSpace: 'nowrap' }}>{m.name}</td>
+              {rules.map(r => <td key={r.id} style={{ textAlign: 'center', padding: '6px 4px', color: m.counts[r.id] ? awardColor(r) : colors.navyLight }}>{m.counts[r.id] || 0}</td>)}
+              <td style={{ textAlign: 'center', padding: '6px 4px', color: colors.white, fontWeight: 700 }}>{m.total}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </Card>
+  )
+}
+
+const Awards = ({ data }) => {
+  const [view, setView] = useState('weekly')
+  
+  return (
+    <div style={{ padding: '20px', paddingBottom: '100px', display: 'flex', flexDirection: 'column', gap: '12px' }}>
+      <Card>
+        <h2 style={{ fontSize: '18px', fontWeight: 700, color: colors.white, margin: '0 0 12px 0' }}>🏅 AWARDS</h2>
+        <ViewToggle options={[{ id: 'weekly', label: 'WEEKLY' }, { id: 'season', label: 'SEASON' }, { id: 'alltime', label: 'ALL-TIME' }]} value={view} onChange={setView} />
+      </Card>
+      {view === 'season' ? <SeasonTrophies data={data} /> : view === 'alltime' ? <AwardCounts /> : <WeeklyAwards data={data} />}
+    </div>
+  )
+}
+
+const injuryColor = (status) => status === 'Questionable' ? colors.warning : colors.danger
+
+const PlayerRow = ({ id, player, points }) => (
+  <div style={{ display: 'flex', alignItems: 'center', gap: '10px', padding: '8px 0', borderBottom: `1px solid ${colors.navyLight}` }}>
+    <div style={{ fontSize: '10px', fontWeight: 700, color: colors.accent, minWidth: '30px' }}>{player?.position || '—'}</div>
+    <div style={{ flex: 1, minWidth: 0 }}>
+      <div style={{ fontSize: '13px', fontWeight: 600, color: colors.white, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{player?.name || (id === '0' ? 'Empty' : id)}</div>
+      <div style={{ fontSize: '11px', color: colors.silver }}>{player?.team || 'FA'}</div>
+    </div>
+    {player?.injuryStatus && (
+      <span style={{ fontSize: '10px', fontWeight: 700, color: injuryColor(player.injuryStatus), textTransform: 'uppercase' }}>{player.injuryStatus}</span>
+    )}
+    {points != null && <div style={{ fontSize: '13px', fontWeight: 700, color: colors.accent, minWidth: '40px', textAlign: 'right' }}>{points.toFixed(1)}</div>}
+  </div>
+)
+
+const TeamPage = ({ data, rosterId, onBack }) => {
+  const { players, loading } = usePlayers()
+  const weeklyHistory = useWeeklyHistory(data)
+  const roster = data.rosters.find(r => r.roster_id === rosterId)
+  const team = data.rosterMap[rosterId]
+  const standing = data.standings.find(s => s.rosterId === rosterId)
+  
+  if (!roster) {
+    return (
+      <div style={{ padding: '20px' }}>
+        <Card style={{ textAlign: 'center', padding: '40px 20px' }}>
+          <p style={{ color: colors.silver, margin: '0 0 12px 0' }}>Roster not available</p>
+          <button onClick={onBack} style={buttonStyle}>← BACK</button>
+        </Card>
+      </div>
+    )
+  }
+  
+  const starters = roster.starters || []
+  const taxi = roster.taxi || []
+  const reserve = roster.reserve || []
+  const bench = (roster.players || []).filter(p => !starters.includes(p) && !taxi.includes(p) && !reserve.includes(p))
+  const sections = [
+    { title: 'STARTERS', ids: starters },
+    { title: 'BENCH', ids: bench },
+    { title: 'TAXI SQUAD', ids: taxi },
+    { title: 'INJURED RESERVE', ids: reserve }
+  ].filter(section => section.ids.length > 0)
+  
+  return (
+    <div style={{ padding: '20px', paddingBottom: '100px', display: 'flex', flexDirection: 'column', gap: '16px' }}>
+      <Card>
+        <button onClick={onBack} style={{ ...buttonStyle, marginBottom: '12px' }}>← BACK</button>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          {team?.avatar && <img src={team.avatar} alt={team.name} style={{ width: '48px', height: '48px', borderRadius: '50%', objectFit: 'cover' }} />}
+          <div>
+            <h2 style={{ fontSize: '18px', fontWeight: 700, color: colors.white, margin: 0 }}>{team?.name || `Team ${rosterId}`}</h2>
+            {standing && (
+              <div style={{ fontSize: '12px', color: colors.silver }}>#{standing.rank} • {standing.wins}W - {standing.losses}L • {standing.pf.toFixed(1)} PF</div>
+            )}
+          </div>
+        </div>
+      </Card>
+      
+      <TrendCharts history={weeklyHistory} rosterMap={data.rosterMap} initialTeams={[rosterId]} />
+      
+      {loading ? <LoadingSpinner /> : sections.map(section => (
+        <Card key={section.title}>
+          <h3 style={{ fontSize: '14px', fontWeight: 700, color: colors.accent, margin: '0 0 8px 0' }}>{section.title} ({section.ids.length})</h3>
+          {section.ids.map((id, i) => <PlayerRow key={`${id}-${i}`} id={id} player={players[id]} />)}
+        </Card>
+      ))}
+    </div>
+  )
+}
 
-// ============== PAGES ==============
-const Dashboard = ({ data, setActiveTab }) => {
-  const { standings, currentWeek, nflState } = data
-  const { matchups } = useMatchups(currentWeek)
-  const weeklyHistory = useWeeklyHistory(currentWeek)
-  const leader = standings[0]
-  const highestPF = standings.length > 0 ? Math.max(...standings.map(s => s.points_for || s.pf || 0)) : 0
-  const longestStreak = standings.reduce((max, s) => { const streak = s.streak?.match(/W(\d+)/)?.[1] || 0; return Math.max(max, parseInt(streak) || 0) }, 0)
-  const isLive = nflState?.season_type === 'regular'
+const History = ({ setActiveTab }) => {
+  const { loading, error, seasons, progress } = useLeagueHistory()
+  const book = useMemo(() => buildRecordBook(seasons), [seasons])
+  
+  if (loading) {
+    return (
+      <div style={{ padding: '20px' }}>
+        <LoadingSpinner />
+        <p style={{ color: colors.silver, textAlign: 'center', fontSize: '12px', margin: 0 }}>{progress ? `Digging up the ${progress} season...` : 'Opening the vault...'}</p>
+      </div>
+    )
+  }
+  if (error) {
+    return (
+      <div style={{ padding: '20px' }}>
+        <Card style={{ textAlign: 'center', padding: '40px 20px' }}>
+          <p style={{ color: colors.danger, margin: 0 }}>{error}</p>
+        </Card>
+      </div>
+    )
+  }
+  
+  const oldest = seasons[seasons.length - 1]
   
   return (
-    <div style={{ padding: '20px', display: 'flex', flexDirection: 'column', gap: '20px' }}>
-      <Card style={{ background: `linear-gradient(135deg, ${colors.navy} 0%, ${colors.navyDark} 50%, ${colors.navyDeep} 100%)`, position: 'relative', overflow: 'hidden' }}>
-        <div style={{ position: 'absolute', top: '-60px', right: '-60px', width: '200px', height: '200px', background: `radial-gradient(circle, ${colors.accent}25 0%, transparent 70%)`, borderRadius: '50%' }} />
-        <div style={{ position: 'relative', zIndex: 1 }}>
-          <div style={{ fontSize: '11px', color: colors.accent, fontWeight: 600, letterSpacing: '2px', marginBottom: '10px' }}>WEEK {currentWeek} • {nflState?.season || 2024} SEASON</div>
-          <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '12px' }}>
-            <img src="/logo1.png" alt="League of Misfits" style={{ height: '50px', width: 'auto' }} />
-            <h1 style={{ fontFamily: "'Oswald', sans-serif", fontSize: '26px', color: colors.white, margin: 0, fontWeight: 700 }}>League of Misfits 🛡️</h1>
+    <div style={{ padding: '20px', paddingBottom: '100px', display: 'flex', flexDirection: 'column', gap: '16px' }}>
+      <Card>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <div>
+            <h2 style={{ fontSize: '18px', fontWeight: 700, color: colors.white, margin: '0 0 8px 0' }}>📜 DYNASTY HISTORY</h2>
+            <div style={{ fontSize: '13px', color: colors.silver }}>{seasons.length} SEASONS • EST. {oldest?.season}</div>
           </div>
-          <p style={{ color: colors.silver, fontSize: '13px', margin: 0 }}>8 years of dynasty glory • Est. 2017</p>
+          <button onClick={() => setActiveTab('rivalry')} style={buttonStyle}>⚔️ RIVALRY →</button>
         </div>
       </Card>
       
+      <Card>
+        <h3 style={{ fontSize: '14px', fontWeight: 700, color: colors.accent, margin: '0 0 12px 0' }}>🏆 CHAMPIONS</h3>
+        {book.champions.length > 0 ? book.champions.map(c => (
+          <div key={c.season} style={{ display: 'flex', justifyContent: 'space-between', padding: '8px 0', borderBottom: `1px solid ${colors.navyLight}` }}>
+            <span style={{ fontSize: '13px', fontWeight: 700, color: colors.silver }}>{c.season}</span>
+            <span style={{ fontSize: '13px', fontWeight: 600, color: colors.gold }}>{c.name}</span>
+          </div>
+        )) : (
+          <p style={{ color: colors.silver, margin: 0, fontSize: '13px' }}>No champions crowned yet</p>
+        )}
+      </Card>
+      
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '12px' }}>
-        <StatCard icon="👑" value={leader?.name || '...'} label="1ST PLACE" color={colors.gold} />
-        <StatCard icon="📊" value={highestPF.toFixed(1)} label="TOP SCORER" color={colors.accent} />
-        <StatCard icon="🔥" value={longestStreak || '-'} label="WIN STREAK" color={colors.success} />
-        <StatCard icon="⚔️" value={matchups.length} label="MATCHUPS" color={colors.white} />
+        <StatCard icon="💥" value={book.highestScore ? book.highestScore.score.toFixed(2) : '-'} label={book.highestScore ? `${book.highestScore.name.toUpperCase()} • ${book.highestScore.season} WK ${book.highestScore.week}` : 'HIGHEST WEEK'} color={colors.gold} />
+        <StatCard icon="🔨" value={book.biggestBlowout ? `+${book.biggestBlowout.margin.toFixed(2)}` : '-'} label={book.biggestBlowout ? `${book.biggestBlowout.season} WK ${book.biggestBlowout.week} BLOWOUT` : 'BIGGEST BLOWOUT'} color={colors.danger} />
       </div>
+      {book.biggestBlowout && (
+        <div style={{ fontSize: '12px', color: colors.silver, textAlign: 'center', marginTop: '-8px' }}>
+          {book.biggestBlowout.winner} {book.biggestBlowout.winnerScore.toFixed(2)} – {book.biggestBlowout.loserScore.toFixed(2)} {book.biggestBlowout.loser}
+        </div>
+      )}
       
       <Card>
-        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
-          <h2 style={{ fontSize: '16px', fontWeight: 700, color: colors.white, margin: 0 }}>⚔️ THIS WEEK'S MATCHUPS</h2>
-          {isLive && <LiveBadge />}
-        </div>
-        {matchups.length > 0 ? (
-          <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
-            {matchups.map((m, i) => (
-              <div key={i} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '12px', background: colors.navyLight + '20', borderRadius: '8px' }}>
-                <div style={{ flex: 1, textAlign: 'left' }}>
-                  <div style={{ fontSize: '13px', fontWeight: 600, color: colors.white }}>{m.team1}</div>
-                  <div style={{ fontSize: '18px', fontWeight: 700, color: colors.accent }}>{m.score1.toFixed(1)}</div>
-                </div>
-                <div style={{ textAlign: 'center', color: colors.silver, fontSize: '12px', fontWeight: 600 }}>VS</div>
-                <div style={{ flex: 1, textAlign: 'right' }}>
-                  <div style={{ fontSize: '13px', fontWeight: 600, color: colors.white }}>{m.team2}</div>
-                  <div style={{ fontSize: '18px', fontWeight: 700, color: colors.accent }}>{m.score2.toFixed(1)}</div>
-                </div>
+        <h3 style={{ fontSize: '14px', fontWeight: 700, color: colors.accent, margin: '0 0 12px 0' }}>ALL-TIME RECORDS</h3>
+        {book.managers.map((m, i) => (
+          <div key={m.ownerId} style={{ display: 'flex', alignItems: 'center', gap: '10px', padding: '8px 0', borderBottom: `1px solid ${colors.navyLight}` }}>
+            <div style={{ fontSize: '14px', fontWeight: 700, color: i === 0 ? colors.gold : colors.silver, minWidth: '24px' }}>{i + 1}.</div>
+            {m.avatar && <img src={m.avatar} alt={m.name} style={{ width: '28px', height: '28px', borderRadius: '50%', objectFit: 'cover' }} />}
+            <div style={{ flex: 1 }}>
+              <div style={{ fontSize: '13px', fontWeight: 600, color: colors.white }}>{m.name} {'🏆'.repeat(m.titles)}</div>
+              <div style={{ fontSize: '11px', color: colors.silver }}>
+                {m.wins}W - {m.losses}L{m.ties ? ` - ${m.ties}T` : ''} • {m.seasons} seasons
               </div>
-            ))}
+            </div>
+            <div style={{ textAlign: 'right' }}>
+              <div style={{ fontSize: '14px', fontWeight: 700, color: colors.accent }}>{m.pf.toFixed(0)}</div>
+              <div style={{ fontSize: '10px', color: colors.silver }}>career pts</div>
+            </div>
           </div>
-        ) : (
-          <p style={{ color: colors.silver, textAlign: 'center', margin: 0 }}>No matchups yet</p>
-        )}
+        ))}
       </Card>
     </div>
   )
 }
 
-const Standings = ({ data }) => {
-  const { standings, nflState } = data
+const Rivalry = ({ data }) => {
+  const { loading, error, seasons, progress } = useLeagueHistory()
+  // Pick from the standings when they carry owner ids, otherwise from this season's rosters
+  const teams = useMemo(() => {
+    const fromStandings = data.standings.filter(s => s.ownerId).map(s => ({ ownerId: s.ownerId, name: s.name }))
+    if (fromStandings.length > 0 || !seasons[0]) return fromStandings
+    return Object.values(seasons[0].rosterMap).filter(r => r.ownerId).map(r => ({ ownerId: r.ownerId, name: r.name }))
+  }, [data.standings, seasons])
+  const [ownerA, setOwnerA] = useState('')
+  const [ownerB, setOwnerB] = useState('')
+  const rivalry = useMemo(() => (ownerA && ownerB && ownerA !== ownerB ? buildRivalry(seasons, ownerA, ownerB) : null), [seasons, ownerA, ownerB])
+  
+  const nameOf = (ownerId) => teams.find(t => t.ownerId === ownerId)?.name || 'Unknown'
+  
+  if (loading) {
+    return (
+      <div style={{ padding: '20px' }}>
+        <LoadingSpinner />
+        <p style={{ color: colors.silver, textAlign: 'center', fontSize: '12px', margin: 0 }}>{progress ? `Digging up the ${progress} season...` : 'Opening the vault...'}</p>
+      </div>
+    )
+  }
   
   return (
-    <div style={{ padding: '20px', paddingBottom: '100px', display: 'flex', flexDirection: 'column', gap: '12px' }}>
-      <Card style={{ marginBottom: '12px' }}>
-        <h2 style={{ fontSize: '18px', fontWeight: 700, color: colors.white, margin: '0 0 12px 0' }}>📊 LEAGUE STANDINGS</h2>
-        <div style={{ fontSize: '13px', color: colors.silver, marginBottom: '8px' }}>WEEK {nflState?.week || 1} • {nflState?.season || 2024} SEASON</div>
+    <div style={{ padding: '20px', paddingBottom: '100px', display: 'flex', flexDirection: 'column', gap: '16px' }}>
+      <Card>
+        <h2 style={{ fontSize: '18px', fontWeight: 700, color: colors.white, margin: '0 0 12px 0' }}>⚔️ RIVALRY</h2>
+        {error && <p style={{ color: colors.danger, margin: '0 0 12px 0', fontSize: '13px' }}>{error}</p>}
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          <select value={ownerA} onChange={(e) => setOwnerA(e.target.value)} style={{ ...inputStyle, flex: 1, minWidth: 0 }}>
+            <option value="">Pick a team</option>
+            {teams.map(t => <option key={t.ownerId} value={t.ownerId}>{t.name}</option>)}
+          </select>
+          <span style={{ color: colors.silver, fontSize: '12px', fontWeight: 600 }}>VS</span>
+          <select value={ownerB} onChange={(e) => setOwnerB(e.target.value)} style={{ ...inputStyle, flex: 1, minWidth: 0 }}>
+            <option value="">Pick a team</option>
+            {teams.filter(t => t.ownerId !== ownerA).map(t => <option key={t.ownerId} value={t.ownerId}>{t.name}</option>)}
+          </select>
+        </div>
       </Card>
-      {standings.map((s, i) => (
-        <Card key={i} style={{ display: 'flex', alignItems: 'center', gap: '12px', padding: '16px' }}>
-          <div style={{ fontSize: '24px', fontWeight: 700, color: i === 0 ? colors.gold : colors.silver, minWidth: '30px' }}>{s.rank}.</div>
-          {s.avatar && <img src={s.avatar} alt={s.name} style={{ width: '36px', height: '36px', borderRadius: '50%', objectFit: 'cover' }} />}
-          <div style={{ flex: 1 }}>
-            <div style={{ fontSize: '14px', fontWeight: 600, color: colors.white }}>{s.name}</div>
-            <div style={{ fontSize: '11px', color: colors.silver }}>
-              {s.wins}W - {s.losses}L • {(s.points_for || s.pf || 0).toFixed(1)} PF
+      
+      {rivalry && (rivalry.meetings.length === 0 ? (
+        <Card style={{ textAlign: 'center', padding: '40px 20px' }}>
+          <p style={{ color: colors.silver, margin: 0 }}>These two have never met</p>
+        </Card>
+      ) : (
+        <>
+          <Card style={{ textAlign: 'center' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <div style={{ flex: 1 }}>
+                <div style={{ fontSize: '13px', fontWeight: 600, color: colors.white }}>{nameOf(ownerA)}</div>
+                <div style={{ fontSize: '32px', fontWeight: 700, color: rivalry.record.winsA >= rivalry.record.winsB ? colors.gold : colors.silver }}>{rivalry.record.winsA}</div>
+              </div>
+              <div style={{ color: colors.silver, fontSize: '12px' }}>{rivalry.record.ties ? `${rivalry.record.ties} TIES` : 'ALL-TIME'}</div>
+              <div style={{ flex: 1 }}>
+                <div style={{ fontSize: '13px', fontWeight: 600, color: colors.white }}>{nameOf(ownerB)}</div>
+                <div style={{ fontSize: '32px', fontWeight: 700, color: rivalry.record.winsB >= rivalry.record.winsA ? colors.gold : colors.silver }}>{rivalry.record.winsB}</div>
+              </div>
             </div>
+          </Card>
+          
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '12px' }}>
+            <StatCard icon="📏" value={`${rivalry.avgMargin >= 0 ? '+' : ''}${rivalry.avgMargin.toFixed(1)}`} label={`AVG MARGIN (${nameOf(ownerA).toUpperCase()})`} color={colors.accent} />
+            <StatCard icon="🏟️" value={rivalry.playoffMeetings.length} label="PLAYOFF MEETINGS" color={colors.gold} />
+            <StatCard icon="🔥" value={rivalry.longestStreakA} label={`BEST STREAK • ${nameOf(ownerA).toUpperCase()}`} color={colors.success} />
+            <StatCard icon="🔥" value={rivalry.longestStreakB} label={`BEST STREAK • ${nameOf(ownerB).toUpperCase()}`} color={colors.success} />
           </div>
-          <div style={{ textAlign: 'right' }}>
-            <div style={{ fontSize: '16px', fontWeight: 700, color: colors.accent }}>{(s.points_for || s.pf || 0).toFixed(0)}</div>
-            <div style={{ fontSize: '10px', color: colors.silver }}>pts</div>
+          {rivalry.currentStreak.who && (
+            <div style={{ fontSize: '12px', color: colors.silver, textAlign: 'center', marginTop: '-4px' }}>
+              {nameOf(rivalry.currentStreak.who === 'a' ? ownerA : ownerB)} has won the last {rivalry.currentStreak.length === 1 ? 'meeting' : `${rivalry.currentStreak.length} meetings`}
+            </div>
+          )}
+          
+          <Card>
+            <h3 style={{ fontSize: '14px', fontWeight: 700, color: colors.accent, margin: '0 0 12px 0' }}>EVERY MEETING</h3>
+            {[...rivalry.meetings].reverse().map((g, i) => (
+              <div key={i} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '8px 0', borderBottom: `1px solid ${colors.navyLight}` }}>
+                <div style={{ fontSize: '11px', color: colors.silver, minWidth: '70px' }}>{g.season} WK {g.week}{g.playoff ? ' 🏟️' : ''}</div>
+                <div style={{ flex: 1, textAlign: 'right', fontSize: '14px', fontWeight: 700, color: g.scoreA > g.scoreB ? colors.success : colors.silver }}>{g.scoreA.toFixed(2)}</div>
+                <div style={{ color: colors.silver, fontSize: '11px' }}>–</div>
+                <div style={{ flex: 1, fontSize: '14px', fontWeight: 700, color: g.scoreB > g.scoreA ? colors.success : colors.silver }}>{g.scoreB.toFixed(2)}</div>
+              </div>
+            ))}
+          </Card>
+        </>
+      ))}
+    </div>
+  )
+}
+
+const PlayerChips = ({ items, color, sign }) => items.map(p => (
+  <div key={p.id || p} style={{ fontSize: '12px', color, marginTop: '2px' }}>
+    {sign} {p.name || p}{p.position ? <span style={{ color: colors.silver, fontSize: '10px' }}> {p.position}{p.team ? ` • ${p.team}` : ''}</span> : null}
+  </div>
+))
+
+const Transactions = ({ data }) => {
+  const { loading, error, transactions } = useTransactions(data.currentWeek)
+  const { players, loading: playersLoading } = usePlayers()
+  const [teamFilter, setTeamFilter] = useState('')
+  const [typeFilter, setTypeFilter] = useState('all')
+  const feed = useMemo(() => buildTransactions(transactions, data.rosterMap, players), [transactions, data.rosterMap, players])
+  
+  const filtered = feed.filter(t =>
+    (typeFilter === 'all' || t.type === typeFilter) &&
+    (!teamFilter || t.sides.some(side => side.rosterId === Number(teamFilter)))
+  )
+  
+  return (
+    <div style={{ padding: '20px', paddingBottom: '100px', display: 'flex', flexDirection: 'column', gap: '12px' }}>
+      <Card>
+        <h2 style={{ fontSize: '18px', fontWeight: 700, color: colors.white, margin: '0 0 12px 0' }}>🔁 TRANSACTIONS</h2>
+        <select value={teamFilter} onChange={(e) => setTeamFilter(e.target.value)} style={{ ...inputStyle, width: '100%', marginBottom: '8px' }}>
+          <option value="">All teams</option>
+          {Object.entries(data.rosterMap).map(([id, r]) => <option key={id} value={id}>{r.name}</option>)}
+        </select>
+        <ViewToggle options={[{ id: 'all', label: 'ALL' }, { id: 'trade', label: 'TRADES' }, { id: 'waiver', label: 'WAIVERS' }, { id: 'free_agent', label: 'FA' }]} value={typeFilter} onChange={setTypeFilter} />
+      </Card>
+      
+      {loading || playersLoading ? <LoadingSpinner /> : error ? <ErrorNotice error={error} /> : filtered.length === 0 ? (
+        <Card style={{ textAlign: 'center', padding: '40px 20px' }}>
+          <p style={{ color: colors.silver, margin: 0 }}>No transactions yet</p>
+        </Card>
+      ) : filtered.map(t => (
+        <Card key={t.id} style={{ padding: '16px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '10px' }}>
+            <span style={{ fontSize: '12px', fontWeight: 700, color: t.type === 'trade' ? colors.gold : colors.accent }}>
+              {TRANSACTION_TYPES[t.type]?.emoji} {(TRANSACTION_TYPES[t.type]?.label || t.type).toUpperCase()}{t.bid != null ? ` • $${t.bid} FAAB` : ''}
+            </span>
+            <span style={{ fontSize: '11px', color: colors.silver }}>WK {t.week} • {new Date(t.date).toLocaleDateString()}</span>
+          </div>
+          <div style={{ display: 'flex', flexDirection: t.sides.length > 1 ? 'row' : 'column', gap: '12px' }}>
+            {t.sides.map(side => (
+              <div key={side.rosterId} style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontSize: '13px', fontWeight: 600, color: colors.white }}>{side.name}</div>
+                <PlayerChips items={side.adds} color={colors.success} sign="+" />
+                <PlayerChips items={side.picksIn} color={colors.success} sign="+" />
+                {side.faabIn > 0 && <div style={{ fontSize: '12px', color: colors.success, marginTop: '2px' }}>+ ${side.faabIn} FAAB</div>}
+                <PlayerChips items={side.drops} color={colors.danger} sign="−" />
+                <PlayerChips items={side.picksOut} color={colors.danger} sign="−" />
+                {side.faabOut > 0 && <div style={{ fontSize: '12px', color: colors.danger, marginTop: '2px' }}>− ${side.faabOut} FAAB</div>}
+              </div>
+            ))}
           </div>
         </Card>
       ))}
@@ -383,113 +3963,268 @@ const Standings = ({ data }) => {
   )
 }
 
-const Matchups = ({ data }) => {
-  const [week, setWeek] = useState(data.currentWeek || 1)
-  const { matchups } = useMatchups(week)
+const teamName = (rosterMap, rosterId) => rosterMap[rosterId]?.name || `Team ${rosterId}`
+
+const DraftBoard = ({ data }) => {
+  const { loading, error, drafts, tradedPicks } = useDraftBoard()
+  const [view, setView] = useState('future')
+  const [draftId, setDraftId] = useState(null)
+  const past = drafts.filter(d => d.status === 'complete')
+  const selected = draftId || past[0]?.draft_id
+  const selectedLeague = past.find(d => d.draft_id === selected)?.league_id
+  const { loading: picksLoading, error: picksError, picks, rosterMap: draftRosterMap } = useDraftPicks(view === 'past' ? selected : null, selectedLeague)
+  const ownership = useMemo(() => buildPickOwnership(data.league, tradedPicks, drafts), [data.league, tradedPicks, drafts])
+  const { rosterMap } = data
+  
+  const rounds = {}
+  picks.forEach(p => { (rounds[p.round] = rounds[p.round] || []).push(p) })
   
   return (
-    <div style={{ padding: '20px', paddingBottom: '100px' }}>
-      <Card style={{ marginBottom: '16px' }}>
-        <div style={{ display: 'flex', gap: '8px', alignItems: 'center', justifyContent: 'space-between' }}>
-          <button onClick={() => setWeek(Math.max(1, week - 1))} style={{ background: colors.navyLight, border: 'none', color: colors.white, padding: '8px 12px', borderRadius: '6px', cursor: 'pointer', fontSize: '12px', fontWeight: 600 }}>← PREV</button>
-          <span style={{ fontSize: '14px', fontWeight: 700, color: colors.accent }}>WEEK {week}</span>
-          <button onClick={() => setWeek(week + 1)} style={{ background: colors.navyLight, border: 'none', color: colors.white, padding: '8px 12px', borderRadius: '6px', cursor: 'pointer', fontSize: '12px', fontWeight: 600 }}>NEXT →</button>
-        </div>
+    <div style={{ padding: '20px', paddingBottom: '100px', display: 'flex', flexDirection: 'column', gap: '12px' }}>
+      <Card>
+        <h2 style={{ fontSize: '18px', fontWeight: 700, color: colors.white, margin: '0 0 12px 0' }}>📝 DRAFT BOARD</h2>
+        <ViewToggle options={[{ id: 'future', label: 'FUTURE PICKS' }, { id: 'past', label: 'PAST DRAFTS' }]} value={view} onChange={setView} />
       </Card>
-      {matchups.length > 0 ? (
-        matchups.map((m, i) => (
-          <Card key={i} style={{ marginBottom: '12px' }}>
-            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-              <div style={{ flex: 1 }}>
-                <div style={{ fontSize: '13px', fontWeight: 600, color: colors.white, marginBottom: '4px' }}>{m.team1}</div>
-                <div style={{ fontSize: '20px', fontWeight: 700, color: colors.accent }}>{m.score1.toFixed(1)}</div>
-              </div>
-              <div style={{ textAlign: 'center', color: colors.silver }}>VS</div>
-              <div style={{ flex: 1, textAlign: 'right' }}>
-                <div style={{ fontSize: '13px', fontWeight: 600, color: colors.white, marginBottom: '4px' }}>{m.team2}</div>
-                <div style={{ fontSize: '20px', fontWeight: 700, color: colors.accent }}>{m.score2.toFixed(1)}</div>
-              </div>
-            </div>
-          </Card>
-        ))
-      ) : (
+      
+      {loading ? <LoadingSpinner /> : error ? (
         <Card style={{ textAlign: 'center', padding: '40px 20px' }}>
-          <p style={{ color: colors.silver, margin: 0 }}>No matchups for week {week}</p>
+          <p style={{ color: colors.danger, margin: 0 }}>{error}</p>
+        </Card>
+      ) : view === 'future' ? ownership.years.map(year => (
+        <Card key={year} style={{ padding: '16px', overflowX: 'auto' }}>
+          <h3 style={{ fontSize: '14px', fontWeight: 700, color: colors.accent, margin: '0 0 12px 0' }}>{year}</h3>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '11px' }}>
+            <thead>
+              <tr>
+                <th style={{ textAlign: 'left', color: colors.silver, padding: '4px', fontWeight: 600 }}>ORIGINAL</th>
+                {ownership.rounds.map(r => <th key={r} style={{ color: colors.silver, padding: '4px', fontWeight: 600 }}>RD {r}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.keys(rosterMap).map(Number).map(rosterId => (
+                <tr key={rosterId} style={{ borderTop: `1px solid ${colors.navyLight}` }}>
+                  <td style={{ color: colors.white, padding: '6px 4px', fontWeight: 600 }}>{teamName(rosterMap, rosterId)}</td>
+                  {ownership.rounds.map(r => {
+                    const owner = ownership.owners[year]?.[r]?.[rosterId] ?? rosterId
+                    const traded = owner !== rosterId
+                    return (
+                      <td key={r} style={{ textAlign: 'center', padding: '6px 4px', color: traded ? colors.gold : colors.silver, fontWeight: traded ? 700 : 400 }}>
+                        {traded ? teamName(rosterMap, owner) : '—'}
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )) : past.length === 0 ? (
+        <Card style={{ textAlign: 'center', padding: '40px 20px' }}>
+          <p style={{ color: colors.silver, margin: 0 }}>No completed drafts yet</p>
         </Card>
+      ) : (
+        <>
+          <select value={selected} onChange={(e) => setDraftId(e.target.value)} style={inputStyle}>
+            {past.map(d => <option key={d.draft_id} value={d.draft_id}>{d.season} • {d.metadata?.name || d.type}</option>)}
+          </select>
+          {picksLoading ? <LoadingSpinner /> : picksError ? <ErrorNotice error={picksError} /> : Object.entries(rounds).map(([round, list]) => (
+            <Card key={round} style={{ padding: '16px' }}>
+              <h3 style={{ fontSize: '14px', fontWeight: 700, color: colors.accent, margin: '0 0 8px 0' }}>ROUND {round}</h3>
+              {list.map(p => (
+                <div key={p.pick_no} style={{ display: 'flex', alignItems: 'center', gap: '10px', padding: '6px 0', borderBottom: `1px solid ${colors.navyLight}` }}>
+                  <div style={{ fontSize: '11px', fontWeight: 700, color: colors.silver, minWidth: '36px' }}>{p.round}.{String(p.draft_slot).padStart(2, '0')}</div>
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ fontSize: '13px', fontWeight: 600, color: colors.white }}>{[p.metadata?.first_name, p.metadata?.last_name].filter(Boolean).join(' ') || p.player_id}</div>
+                    <div style={{ fontSize: '10px', color: colors.silver }}>{p.metadata?.position} • {p.metadata?.team || 'FA'}</div>
+                  </div>
+                  <div style={{ fontSize: '11px', color: colors.accent, textAlign: 'right' }}>{teamName(draftRosterMap || rosterMap, p.roster_id)}</div>
+                </div>
+              ))}
+            </Card>
+          ))}
+        </>
       )}
     </div>
   )
 }
 
-const Awards = ({ data }) => {
-  const { awards, loading } = useAwards(data.currentWeek)
+const Ledger = ({ data }) => {
+  const leagueId = activeLeague().id
+  const [ledger, setLedger] = useLedger(leagueId)
+  const { payouts, paid, settled } = ledger
+  const { credits, regularWeeks, loading, error } = useLedgerCredits(data, payouts)
+  const { rows, totals } = useMemo(() => buildLedger({ ledger, credits, rosterMap: data.rosterMap, regularWeeks }), [ledger, credits, data.rosterMap, regularWeeks])
+  const [view, setView] = useState('teams')
+  const [draft, setDraft] = useState(() => ({ ...payouts, places: payouts.places.join(', ') }))
+  const [message, setMessage] = useState(null)
+  const weeklyRules = awardRules().filter(r => !isSeasonRule(r))
+  const missingAward = missingWeeklyAward(payouts)
+  const season = data.nflState?.season || ''
+  
+  const toggleDues = (rosterId) => setLedger({ ...ledger, paid: { ...paid, [rosterId]: !paid[rosterId] } })
+  const toggleSettled = (creditId) => setLedger({ ...ledger, settled: { ...settled, [creditId]: !settled[creditId] } })
+  
+  const savePayouts = () => {
+    const next = {
+      buyIn: Number(draft.buyIn),
+      weeklyPrize: Number(draft.weeklyPrize),
+      weeklyAward: draft.weeklyAward,
+      places: String(draft.places).split(',').map(p => p.trim()).filter(Boolean).map(Number)
+    }
+    const problems = [...validateLedger({ ...ledger, payouts: next }), missingWeeklyAward(next)].filter(Boolean)
+    if (problems.length) { setMessage(problems.join(' • ')); return }
+    setLedger({ ...ledger, payouts: next })
+    setMessage('Payouts saved')
+  }
+  
+  const exportJson = () => downloadFile(`misfits-ledger-${leagueId}.json`, JSON.stringify({ leagueId, season, ...ledger }, null, 2))
+  const exportCsv = () => downloadFile(`misfits-ledger-${season || leagueId}.csv`, ledgerCsv(rows), 'text/csv')
+  
+  const importJson = async (e) => {
+    const upload = e.target.files?.[0]
+    e.target.value = ''
+    if (!upload) return
+    try {
+      const imported = JSON.parse(await upload.text())
+      if (!isPlainObject(imported)) { setMessage('Ledger must be a JSON object'); return }
+      if (imported.leagueId != null && String(imported.leagueId) !== leagueId) {
+        setMessage(`${upload.name} belongs to league ${imported.leagueId}, not this one`)
+        return
+      }
+      const next = normalizeLedger(imported)
+      const problems = validateLedger(next)
+      if (problems.length) { setMessage(problems.join(' • ')); return }
+      // Still worth loading (the rest of the ledger is fine), but say why weekly credits are missing
+      const missing = missingWeeklyAward(next.payouts)
+      setLedger(next)
+      setDraft({ ...next.payouts, places: next.payouts.places.join(', ') })
+      setMessage(missing ? `Loaded ${upload.name}. ${missing}` : `Loaded ${upload.name}`)
+    } catch (err) {
+      setMessage(`Could not load ${upload.name}: ${err.message}`)
+    }
+  }
   
   return (
-    <div style={{ padding: '20px', paddingBottom: '100px' }}>
-      {loading ? (
-        <LoadingSpinner />
-      ) : awards.length === 0 ? (
-        <Card style={{ textAlign: 'center', padding: '40px 20px' }}>
-          <p style={{ color: colors.silver, margin: 0 }}>No awards data available</p>
+    <div style={{ padding: '20px', paddingBottom: '100px', display: 'flex', flexDirection: 'column', gap: '12px' }}>
+      <Card>
+        <h2 style={{ fontSize: '18px', fontWeight: 700, color: colors.white, margin: '0 0 12px 0' }}>💰 LEDGER</h2>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px', fontSize: '12px', color: colors.silver, marginBottom: '12px' }}>
+          <div>Dues collected <b style={{ color: colors.white }}>{money(totals.collected)}</b> of {money(totals.pot)}</div>
+          <div>Payouts set <b style={{ color: totals.committed > totals.pot ? colors.danger : colors.white }}>{money(totals.committed)}</b></div>
+          <div>Won so far <b style={{ color: colors.white }}>{money(totals.credited)}</b></div>
+          <div>Paid out <b style={{ color: colors.white }}>{money(totals.paidOut)}</b></div>
+        </div>
+        {totals.committed > totals.pot && <div style={{ fontSize: '11px', color: colors.danger, marginBottom: '12px' }}>⚠️ Payouts add up to more than the pot</div>}
+        {missingAward && <div style={{ fontSize: '11px', color: colors.danger, marginBottom: '12px' }}>⚠️ {missingAward}</div>}
+        <ViewToggle options={[{ id: 'teams', label: 'TEAMS' }, { id: 'payouts', label: 'PAYOUTS' }]} value={view} onChange={setView} />
+      </Card>
+      
+      {view === 'payouts' ? (
+        <Card>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+            <label style={{ fontSize: '12px', color: colors.silver }}>Buy-in per team ($)
+              <input type="number" min="0" value={draft.buyIn} onChange={(e) => setDraft({ ...draft, buyIn: e.target.value })} style={{ ...inputStyle, width: '100%', marginTop: '4px' }} />
+            </label>
+            <label style={{ fontSize: '12px', color: colors.silver }}>Weekly prize ($, split on ties)
+              <input type="number" min="0" value={draft.weeklyPrize} onChange={(e) => setDraft({ ...draft, weeklyPrize: e.target.value })} style={{ ...inputStyle, width: '100%', marginTop: '4px' }} />
+            </label>
+            <label style={{ fontSize: '12px', color: colors.silver }}>Weekly prize goes to
+              <select value={draft.weeklyAward} onChange={(e) => setDraft({ ...draft, weeklyAward: e.target.value })} style={{ ...inputStyle, width: '100%', marginTop: '4px' }}>
+                {!weeklyRules.some(r => r.id === draft.weeklyAward) && <option value={draft.weeklyAward}>⚠️ {draft.weeklyAward} (no longer an award)</option>}
+                {weeklyRules.map(r => <option key={r.id} value={r.id}>{r.emoji} {r.name}</option>)}
+              </select>
+            </label>
+            <label style={{ fontSize: '12px', color: colors.silver }}>Place payouts ($, 1st, 2nd, 3rd...)
+              <input value={draft.places} onChange={(e) => setDraft({ ...draft, places: e.target.value })} placeholder="500, 200, 100" style={{ ...inputStyle, width: '100%', marginTop: '4px' }} />
+            </label>
+            <button onClick={savePayouts} style={{ ...buttonStyle, background: colors.accent }}>SAVE PAYOUTS</button>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button onClick={exportJson} style={{ ...buttonStyle, flex: 1 }}>EXPORT JSON</button>
+              <button onClick={exportCsv} style={{ ...buttonStyle, flex: 1 }}>EXPORT CSV</button>
+            </div>
+            <input type="file" accept="application/json,.json" onChange={importJson} style={{ ...inputStyle, fontSize: '12px' }} />
+            {message && <div style={{ fontSize: '12px', color: colors.silver }}>{message}</div>}
+          </div>
         </Card>
-      ) : (
-        awards.map((week, i) => (
-          <div key={i} style={{ marginBottom: '20px' }}>
-            <Card style={{ marginBottom: '12px', background: `linear-gradient(135deg, ${colors.navyLight} 0%, ${colors.navy} 100%)` }}>
-              <h3 style={{ fontSize: '14px', fontWeight: 700, color: colors.accent, margin: '0 0 12px 0' }}>WEEK {week.week}</h3>
-              {week.topDawg && (
-                <div style={{ marginBottom: '12px', paddingBottom: '12px', borderBottom: `1px solid ${colors.navyLight}` }}>
-                  <div style={{ fontSize: '11px', color: colors.silver, marginBottom: '4px' }}>🏆 TOP DAWG</div>
-                  <div style={{ fontSize: '13px', fontWeight: 600, color: colors.gold }}>{week.topDawg.team}</div>
-                  <div style={{ fontSize: '11px', color: colors.accent }}>{week.topDawg.points} points</div>
+      ) : loading ? <LoadingSpinner /> : (
+        <>
+          {error && <ErrorNotice error={error} />}
+          {rows.map(r => (
+            <Card key={r.rosterId} style={{ padding: '16px' }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ fontSize: '14px', fontWeight: 600, color: colors.white }}>{r.team}</div>
+                  <div style={{ fontSize: '11px', color: colors.silver }}>Won {money(r.winnings)}{r.owed > 0 ? ` • ${money(r.owed)} still owed` : ''}</div>
                 </div>
-              )}
-              {week.superWeenie && (
-                <div style={{ marginBottom: '12px', paddingBottom: '12px', borderBottom: `1px solid ${colors.navyLight}` }}>
-                  <div style={{ fontSize: '11px', color: colors.silver, marginBottom: '4px' }}>🌭 SUPER WEENIE</div>
-                  <div style={{ fontSize: '13px', fontWeight: 600, color: colors.danger }}>{week.superWeenie.team}</div>
-                  <div style={{ fontSize: '11px', color: colors.accent }}>{week.superWeenie.points} points</div>
+                <button onClick={() => toggleDues(r.rosterId)} style={{ ...buttonStyle, background: r.duesPaid ? colors.success : colors.navyLight, color: r.duesPaid ? colors.navyDeep : colors.white }}>
+                  {r.duesPaid ? '✓ PAID' : `DUE ${money(r.dues)}`}
+                </button>
+                <div style={{ textAlign: 'right', minWidth: '60px' }}>
+                  <div style={{ fontSize: '16px', fontWeight: 700, color: r.net > 0 ? colors.success : r.net < 0 ? colors.danger : colors.silver }}>{money(r.net)}</div>
+                  <div style={{ fontSize: '10px', color: colors.silver }}>net</div>
                 </div>
-              )}
-              {week.horsesAss && (
-                <div>
-                  <div style={{ fontSize: '11px', color: colors.silver, marginBottom: '4px' }}>🐴 HORSE'S ASS</div>
-                  <div style={{ fontSize: '13px', fontWeight: 600, color: colors.warning }}>{week.horsesAss.team}</div>
-                  <div style={{ fontSize: '11px', color: colors.silver }}>{week.horsesAss.reason}</div>
+              </div>
+              {r.credits.length > 0 && (
+                <div style={{ marginTop: '10px', paddingTop: '10px', borderTop: `1px solid ${colors.navyLight}`, display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                  {r.credits.map(c => (
+                    <div key={c.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', color: colors.silver }}>
+                      <span style={{ flex: 1 }}>{c.label}</span>
+                      <span style={{ color: colors.white }}>{money(c.amount)}</span>
+                      <button onClick={() => toggleSettled(c.id)} style={{ ...buttonStyle, padding: '4px 8px', fontSize: '10px', background: c.settled ? colors.success : colors.navyLight, color: c.settled ? colors.navyDeep : colors.white }}>
+                        {c.settled ? '✓ PAID OUT' : 'OWED'}
+                      </button>
+                    </div>
+                  ))}
                 </div>
               )}
             </Card>
+          ))}
+          <div style={{ fontSize: '10px', color: colors.silver, textAlign: 'center' }}>
+            Weekly prizes follow {weeklyRules.find(r => r.id === payouts.weeklyAward)?.name || payouts.weeklyAward} for weeks 1-{regularWeeks} • place payouts appear once the playoff bracket is decided
           </div>
-        ))
+        </>
       )}
     </div>
   )
 }
 
-const AIChat = () => {
+const AIChat = ({ data }) => {
   const [messages, setMessages] = useState([{ role: 'assistant', content: "Hey! I'm your League of Misfits AI 🛡️ Ask about trades, waivers, or roasts!" }])
   const [input, setInput] = useState('')
   const [loading, setLoading] = useState(false)
+  const { matchups } = useMatchups(data.currentWeek, data.rosterMap)
+  const { awards } = useAwards(lastCompletedWeek(data.nflState, data.currentWeek), data.rosterMap)
+  const abort = useRef(null)
+  
+  useEffect(() => () => abort.current?.abort(), [])
   
   const handleSend = async () => {
-    if (!input.trim()) return
+    if (!input.trim() || loading) return
     
     const userMsg = { role: 'user', content: input }
-    setMessages(prev => [...prev, userMsg])
+    // The greeting is UI chrome, not conversation
+    const history = [...messages.slice(1), userMsg]
+    setMessages(prev => [...prev, userMsg, { role: 'assistant', content: '' }])
     setInput('')
     setLoading(true)
     
+    const league = { week: data.currentWeek, standings: data.standings, matchups, awards }
+    const provider = chatProvider()
+    abort.current = new AbortController()
+    const append = (text) => setMessages(prev => {
+      const last = prev[prev.length - 1]
+      return [...prev.slice(0, -1), { ...last, content: last.content + text }]
+    })
+    
     try {
-      const res = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${process.env.REACT_APP_OPENAI_KEY}` },
-        body: JSON.stringify({ model: 'gpt-3.5-turbo', messages: [...messages, userMsg], max_tokens: 150 })
-      })
-      const data = await res.json()
-      const reply = data.choices?.[0]?.message?.content || "I couldn't process that. Try again!"
-      setMessages(prev => [...prev, { role: 'assistant', content: reply }])
+      let received = false
+      for await (const chunk of provider.stream(history, buildChatContext(league), abort.current.signal, league)) {
+        received = true
+        append(chunk)
+      }
+      if (!received) append("I couldn't process that. Try again!")
     } catch (e) {
-      setMessages(prev => [...prev, { role: 'assistant', content: '❌ Connection error. Check your API key!' }])
+      if (e.name !== 'AbortError') append(`❌ ${provider.label} unavailable (${e.message}). Switch AI provider in Settings.`)
     } finally {
       setLoading(false)
     }
@@ -527,17 +4262,356 @@ const AIChat = () => {
   )
 }
 
+const NotificationCenter = ({ data, config, onConfigChange }) => {
+  const history = useAlertHistory()
+  const settings = alertSettings()
+  const league = config.leagues.find(l => l.id === config.activeId) || config.leagues[0]
+  const [permission, setPermission] = useState(() => typeof Notification === 'undefined' ? 'unsupported' : Notification.permission)
+  const teams = Object.entries(data.rosterMap).map(([id, t]) => ({ rosterId: Number(id), name: t.name }))
+  // Score alerts can't fire without live scoring, so they aren't offered
+  const liveOff = (config.liveInterval ?? DEFAULT_LIVE_INTERVAL) === 0
+  
+  // Everything counts as read once the user leaves, so unread alerts stay highlighted while they look
+  useEffect(() => () => alertCenter.markAllRead(), [])
+  
+  const saveAlerts = (alerts) => onConfigChange({ ...config, alerts: { ...config.alerts, ...alerts } })
+  const toggleRule = (rule) => saveAlerts({ rules: { ...settings.rules, [rule]: !settings.rules[rule] } })
+  const setMyTeam = (value) => {
+    const leagues = config.leagues.map(l => l.id === league.id ? { ...l, myRosterId: value === '' ? null : Number(value) } : l)
+    onConfigChange({ ...config, leagues })
+  }
+  
+  const toggleBrowser = async () => {
+    if (settings.browser) { saveAlerts({ browser: false }); return }
+    const result = await Notification.requestPermission()
+    setPermission(result)
+    if (result === 'granted') saveAlerts({ browser: true })
+  }
+  
+  return (
+    <div style={{ padding: '20px', paddingBottom: '100px', display: 'flex', flexDirection: 'column', gap: '12px' }}>
+      <Card>
+        <h2 style={{ fontSize: '18px', fontWeight: 700, color: colors.white, margin: '0 0 12px 0' }}>🔔 NOTIFICATIONS</h2>
+        <label style={{ fontSize: '12px', color: colors.silver }}>My team
+          <select value={league.myRosterId ?? ''} onChange={(e) => setMyTeam(e.target.value)} style={{ ...inputStyle, width: '100%', marginTop: '4px' }}>
+            <option value="">Not set</option>
+            {teams.map(t => <option key={t.rosterId} value={t.rosterId}>{t.name}</option>)}
+          </select>
+        </label>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginTop: '12px' }}>
+          {Object.entries(ALERT_RULES).filter(([, rule]) => !(rule.live && liveOff)).map(([id, rule]) => {
+            const blocked = rule.mine && league.myRosterId == null
+            return (
+              <label key={id} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: blocked ? colors.silver : colors.white }}>
+                <input type="checkbox" checked={!!settings.rules[id]} onChange={() => toggleRule(id)} />
+                {rule.emoji} {rule.label}{blocked ? ' (pick your team)' : ''}
+              </label>
+            )
+          })}
+          {liveOff && <div style={{ fontSize: '11px', color: colors.silver }}>Turn on live scoring in Settings for close-game and lead-change alerts</div>}
+        </div>
+        <button onClick={toggleBrowser} disabled={permission === 'unsupported' || permission === 'denied'} style={{ ...buttonStyle, width: '100%', marginTop: '12px', background: settings.browser ? colors.success : colors.accent, color: settings.browser ? colors.navyDeep : colors.white, opacity: permission === 'unsupported' || permission === 'denied' ? 0.5 : 1 }}>
+          {permission === 'unsupported' ? 'BROWSER NOTIFICATIONS UNAVAILABLE' : permission === 'denied' ? 'NOTIFICATIONS BLOCKED IN BROWSER' : settings.browser ? '✓ BROWSER NOTIFICATIONS ON' : 'ENABLE BROWSER NOTIFICATIONS'}
+        </button>
+        {config.replay && <div style={{ fontSize: '11px', color: colors.warning, marginTop: '8px' }}>Alerts are paused while replaying fixtures</div>}
+      </Card>
+      
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <span style={{ fontSize: '12px', fontWeight: 700, color: colors.accent }}>HISTORY</span>
+        {history.length > 0 && <button onClick={() => alertCenter.clear()} style={{ ...buttonStyle, background: 'none', color: colors.silver }}>CLEAR</button>}
+      </div>
+      {history.length === 0 ? (
+        <Card style={{ textAlign: 'center', padding: '40px 20px' }}>
+          <p style={{ color: colors.silver, margin: 0 }}>Nothing yet. Alerts show up here as they happen.</p>
+        </Card>
+      ) : history.map(a => (
+        <Card key={a.id} style={{ display: 'flex', gap: '12px', padding: '14px 16px', borderColor: a.read ? colors.navyLight : colors.accent }}>
+          <div style={{ fontSize: '20px', lineHeight: 1 }}>{ALERT_RULES[a.rule]?.emoji || '🔔'}</div>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ fontSize: '13px', fontWeight: 600, color: colors.white }}>{a.title}</div>
+            <div style={{ fontSize: '11px', color: colors.silver }}>{a.body}</div>
+          </div>
+          <div style={{ fontSize: '10px', color: colors.silver, whiteSpace: 'nowrap' }}>
+            {new Date(a.at).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })}
+          </div>
+        </Card>
+      ))}
+    </div>
+  )
+}
+
+const Settings = ({ config, onConfigChange }) => {
+  const current = config.leagues.find(l => l.id === config.activeId) || config.leagues[0]
+  const [source, setSource] = useState(current.source)
+  const [apiUrl, setApiUrl] = useState(current.apiUrl || '')
+  const [chat, setChatDraft] = useState(() => ({ ...DEFAULT_CHAT, ...config.chat }))
+  const setChat = (changes) => setChatDraft(c => ({ ...c, ...changes }))
+  const [newId, setNewId] = useState('')
+  const [newSource, setNewSource] = useState('sleeper')
+  const [newApi, setNewApi] = useState('')
+  const [status, setStatus] = useState(null)
+  const fixtureStatus = useFixtures()
+  const [fixtureMessage, setFixtureMessage] = useState(null)
+  const [awardsJson, setAwardsJson] = useState(() => JSON.stringify(config.awards?.length ? config.awards : DEFAULT_AWARDS, null, 2))
+  const [awardStatus, setAwardStatus] = useState(null)
+  
+  const saveSource = () => {
+    const leagues = config.leagues.map(l => l.id === current.id ? { ...l, source, apiUrl: apiUrl.trim() } : l)
+    onConfigChange({ ...config, leagues })
+  }
+  
+  const saveChat = () => onConfigChange({ ...config, chat: { ...chat, localUrl: chat.localUrl.trim(), model: chat.model.trim() } })
+  
+  const addLeague = async () => {
+    const id = newId.trim()
+    if (!id) return
+    setStatus('Looking up league...')
+    let league = null
+    try {
+      league = await sleeperApi.league(id)
+    } catch (e) {
+      setStatus(e.message)
+      return
+    }
+    if (!league) { setStatus(`No Sleeper league found for ${id}`); return }
+    const entry = { id, name: league.name || `League ${id}`, source: newSource, apiUrl: newApi.trim() }
+    setStatus(null)
+    setNewId('')
+    setNewApi('')
+    onConfigChange({ ...config, activeId: id, leagues: [...config.leagues.filter(l => l.id !== id), entry] })
+  }
+  
+  const downloadRecording = () => {
+    const recording = fixtures.exportRecording()
+    downloadFile(`misfits-fixtures-${recording.league.id}-${recording.recordedAt.slice(0, 10)}.json`, JSON.stringify(recording))
+  }
+  
+  const importFixture = async (e) => {
+    const upload = e.target.files?.[0]
+    e.target.value = ''
+    if (!upload) return
+    try {
+      await fixtures.save(JSON.parse(await upload.text()))
+      setFixtureMessage(`Loaded ${upload.name}`)
+    } catch (err) {
+      setFixtureMessage(`Could not load ${upload.name}: ${err.message}`)
+    }
+  }
+  
+  const saveAwards = () => {
+    let rules
+    try { rules = JSON.parse(awardsJson) } catch (e) { setAwardStatus({ ok: false, messages: [`Invalid JSON: ${e.message}`] }); return }
+    const problems = validateAwardRules(rules)
+    if (problems.length) { setAwardStatus({ ok: false, messages: problems }); return }
+    setAwardStatus({ ok: true, messages: [`Saved ${rules.length} awards`] })
+    onConfigChange({ ...config, awards: rules })
+  }
+  
+  const resetAwards = () => {
+    setAwardsJson(JSON.stringify(DEFAULT_AWARDS, null, 2))
+    setAwardStatus(null)
+    onConfigChange({ ...config, awards: null })
+  }
+  
+  // Replay follows the recorded league, adding it to the saved list if needed
+  const setReplay = (on) => {
+    const file = fixtureStatus.file
+    if (!on || !file) { onConfigChange({ ...config, replay: false, timeTravelWeek: null }); return }
+    const { id, name } = file.league
+    const leagues = config.leagues.some(l => l.id === id) ? config.leagues : [...config.leagues, { id, name, source: 'sleeper', apiUrl: '' }]
+    onConfigChange({ ...config, leagues, activeId: id, replay: true, timeTravelWeek: null })
+  }
+  
+  const removeLeague = (id) => onConfigChange({ ...config, leagues: config.leagues.filter(l => l.id !== id) })
+  const interval = config.liveInterval ?? DEFAULT_LIVE_INTERVAL
+  
+  return (
+    <div style={{ padding: '20px', paddingBottom: '100px', display: 'flex', flexDirection: 'column', gap: '16px' }}>
+      <Card>
+        <h2 style={{ fontSize: '18px', fontWeight: 700, color: colors.white, margin: '0 0 12px 0' }}>⚙️ SETTINGS</h2>
+        <div style={{ fontSize: '13px', color: colors.silver }}>Saved in this browser. Links can preset a league with ?league=ID&source=sleeper|backend&api=URL&replay=1</div>
+      </Card>
+      
+      <Card>
+        <h3 style={{ fontSize: '14px', fontWeight: 700, color: colors.accent, margin: '0 0 12px 0' }}>SAVED LEAGUES</h3>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          {config.leagues.map(l => (
+            <div key={l.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '10px', background: colors.navyLight + '20', borderRadius: '8px' }}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontSize: '13px', fontWeight: 600, color: colors.white }}>{l.name}</div>
+                <div style={{ fontSize: '10px', color: colors.silver, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{l.id} • {l.source.toUpperCase()}</div>
+              </div>
+              {l.id === config.activeId ? (
+                <span style={{ fontSize: '11px', fontWeight: 700, color: colors.success }}>ACTIVE</span>
+              ) : (
+                <>
+                  <button onClick={() => onConfigChange({ ...config, activeId: l.id })} style={buttonStyle}>USE</button>
+                  <button onClick={() => removeLeague(l.id)} style={{ ...buttonStyle, color: colors.danger }}>✕</button>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      </Card>
+      
+      <Card>
+        <h3 style={{ fontSize: '14px', fontWeight: 700, color: colors.accent, margin: '0 0 12px 0' }}>DATA SOURCE • {current.name}</h3>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          <select value={source} onChange={(e) => setSource(e.target.value)} style={inputStyle}>
+            <option value="sleeper">Sleeper (direct)</option>
+            <option value="backend">Python backend (falls back to Sleeper)</option>
+          </select>
+          {source === 'backend' && (
+            <input type="text" value={apiUrl} onChange={(e) => setApiUrl(e.target.value)} placeholder="Backend URL" style={inputStyle} />
+          )}
+          <button onClick={saveSource} style={{ ...buttonStyle, background: colors.accent }}>SAVE</button>
+        </div>
+      </Card>
+      
+      <Card>
+        <h3 style={{ fontSize: '14px', fontWeight: 700, color: colors.accent, margin: '0 0 12px 0' }}>LIVE SCORING</h3>
+        <div style={{ fontSize: '12px', color: colors.silver, marginBottom: '8px' }}>How often scores refresh during game windows. Hidden tabs check in less often.</div>
+        <select value={interval} onChange={(e) => onConfigChange({ ...config, liveInterval: Number(e.target.value) })} style={{ ...inputStyle, width: '100%' }}>
+          <option value={30}>Every 30 seconds</option>
+          <option value={60}>Every minute</option>
+          <option value={120}>Every 2 minutes</option>
+          <option value={300}>Every 5 minutes</option>
+          <option value={0}>Off</option>
+        </select>
+      </Card>
+      
+      <Card>
+        <h3 style={{ fontSize: '14px', fontWeight: 700, color: colors.accent, margin: '0 0 12px 0' }}>AI CHAT</h3>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          <select value={chat.provider} onChange={(e) => setChat({ provider: e.target.value })} style={inputStyle}>
+            {Object.entries(CHAT_PROVIDERS).map(([id, p]) => <option key={id} value={id}>{p.label}</option>)}
+          </select>
+          {chat.provider === 'local' && (
+            <input type="text" value={chat.localUrl} onChange={(e) => setChat({ localUrl: e.target.value })} placeholder="http://localhost:11434/v1" style={inputStyle} />
+          )}
+          {chat.provider !== 'stub' && (
+            <input type="text" value={chat.model} onChange={(e) => setChat({ model: e.target.value })} placeholder="Model name" style={inputStyle} />
+          )}
+          {chat.provider === 'backend' && !current.apiUrl && (
+            <div style={{ fontSize: '12px', color: colors.warning }}>This league has no backend URL, so chat runs offline.</div>
+          )}
+          <button onClick={saveChat} style={{ ...buttonStyle, background: colors.accent }}>SAVE</button>
+        </div>
+      </Card>
+      
+      <Card>
+        <h3 style={{ fontSize: '14px', fontWeight: 700, color: colors.accent, margin: '0 0 12px 0' }}>AWARDS</h3>
+        <div style={{ fontSize: '12px', color: colors.silver, marginBottom: '8px' }}>
+          Each award picks a metric ({Object.keys(AWARD_METRICS).join(', ')}), a tie rule (share, bench, none) and a palette color.
+          Add "scope": "season" with an aggregate (sum, avg, max, min, count) or "award": &lt;weekly id&gt; for season trophies.
+        </div>
+        <textarea value={awardsJson} onChange={(e) => setAwardsJson(e.target.value)} rows={12} spellCheck={false} style={{ ...inputStyle, width: '100%', fontFamily: 'monospace', fontSize: '11px', resize: 'vertical' }} />
+        <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+          <button onClick={saveAwards} style={{ ...buttonStyle, flex: 1, background: colors.accent }}>SAVE AWARDS</button>
+          <button onClick={resetAwards} style={{ ...buttonStyle, flex: 1 }}>RESET</button>
+        </div>
+        {awardStatus?.messages.map(m => <div key={m} style={{ fontSize: '12px', color: awardStatus.ok ? colors.success : colors.danger, marginTop: '6px' }}>{m}</div>)}
+      </Card>
+      
+      <Card>
+        <h3 style={{ fontSize: '14px', fontWeight: 700, color: colors.accent, margin: '0 0 12px 0' }}>FIXTURES</h3>
+        <div style={{ fontSize: '12px', color: colors.silver, marginBottom: '8px' }}>Record real responses while you browse, then replay them with no network. Visit every page you want in the file while recording.</div>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button onClick={() => fixtureStatus.recording ? fixtures.stopRecording() : fixtures.startRecording()} disabled={config.replay} style={{ ...buttonStyle, flex: 1, color: fixtureStatus.recording ? colors.danger : colors.white }}>
+              {fixtureStatus.recording ? `■ STOP (${fixtureStatus.recordedCount})` : '● RECORD'}
+            </button>
+            <button onClick={downloadRecording} disabled={fixtureStatus.recordedCount === 0} style={{ ...buttonStyle, flex: 1, opacity: fixtureStatus.recordedCount ? 1 : 0.5 }}>DOWNLOAD</button>
+          </div>
+          <input type="file" accept="application/json,.json" onChange={importFixture} style={{ ...inputStyle, fontSize: '12px' }} />
+          {fixtureStatus.file && (
+            <div style={{ fontSize: '12px', color: colors.silver }}>
+              {fixtureStatus.file.league.name} • recorded {new Date(fixtureStatus.file.recordedAt).toLocaleDateString()} • {Object.keys(fixtureStatus.file.responses).length} responses
+            </div>
+          )}
+          <button onClick={() => setReplay(!config.replay)} disabled={!fixtureStatus.file && !config.replay} style={{ ...buttonStyle, background: config.replay ? colors.gold : colors.accent, color: config.replay ? colors.navyDeep : colors.white, opacity: fixtureStatus.file || config.replay ? 1 : 0.5 }}>
+            {config.replay ? 'STOP REPLAY' : 'REPLAY OFFLINE'}
+          </button>
+          {fixtureMessage && <div style={{ fontSize: '12px', color: colors.silver }}>{fixtureMessage}</div>}
+        </div>
+      </Card>
+      
+      <Card>
+        <h3 style={{ fontSize: '14px', fontWeight: 700, color: colors.accent, margin: '0 0 12px 0' }}>ADD LEAGUE</h3>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          <input type="text" value={newId} onChange={(e) => setNewId(e.target.value)} placeholder="Sleeper league ID" style={inputStyle} />
+          <select value={newSource} onChange={(e) => setNewSource(e.target.value)} style={inputStyle}>
+            <option value="sleeper">Sleeper (direct)</option>
+            <option value="backend">Python backend</option>
+          </select>
+          {newSource === 'backend' && (
+            <input type="text" value={newApi} onChange={(e) => setNewApi(e.target.value)} placeholder="Backend URL" style={inputStyle} />
+          )}
+          <button onClick={addLeague} style={{ ...buttonStyle, background: colors.accent }}>ADD & SWITCH</button>
+          {status && <div style={{ fontSize: '12px', color: colors.silver }}>{status}</div>}
+        </div>
+      </Card>
+    </div>
+  )
+}
+
+// Pages that live behind the More tab
+const MORE_PAGES = [
+  { id: 'history', icon: Crown, label: 'History', blurb: 'Champions and the all-time record book' },
+  { id: 'rivalry', icon: Swords, label: 'Rivalry', blurb: 'Head-to-head between any two managers' },
+  { id: 'transactions', icon: Repeat, label: 'Transactions', blurb: 'Trades, waivers and free agents' },
+  { id: 'draft', icon: ListOrdered, label: 'Draft', blurb: 'Rookie drafts and who owns every future pick' },
+  { id: 'ledger', icon: Wallet, label: 'Ledger', blurb: 'Dues, weekly prizes and season payouts' },
+]
+
+const More = ({ setActiveTab }) => (
+  <div style={{ padding: '20px', paddingBottom: '100px', display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '12px' }}>
+    {MORE_PAGES.map(({ id, icon: Icon, label, blurb }) => (
+      <Card key={id} onClick={() => setActiveTab(id)} style={{ padding: '16px' }}>
+        <Icon size={24} color={colors.accent} />
+        <div style={{ fontSize: '14px', fontWeight: 700, color: colors.white, margin: '8px 0 4px' }}>{label}</div>
+        <div style={{ fontSize: '11px', color: colors.silver }}>{blurb}</div>
+      </Card>
+    ))}
+  </div>
+)
+
 // ============== MAIN APP ==============
 export default function App() {
-  const [activeTab, setActiveTab] = useState('dashboard')
+  const [config, updateConfig] = useConfig()
+  // Remount the whole league view when the active league, its source or the replayed week changes so every hook refetches
+  const league = config.leagues.find(l => l.id === config.activeId) || config.leagues[0]
+  const replay = config.replay ? `replay@${config.timeTravelWeek ?? 'all'}` : 'live'
+  return <LeagueApp key={`${league.id}|${league.source}|${league.apiUrl}|${replay}`} config={config} onConfigChange={updateConfig} />
+}
+
+function LeagueApp({ config, onConfigChange }) {
+  const [route, navigate] = useRoute()
+  const activeTab = route.tab
+  const setActiveTab = useCallback((tab) => navigate(tab), [navigate])
   const data = useLeagueData()
+  useAlerts(data, config)
+  const unread = useAlertHistory().filter(a => !a.read).length
+  
+  const openTeam = (rosterId) => navigate('team', rosterId)
+  // Deep links have nothing in-app to go back to
+  const goBack = () => hasInAppHistory() ? window.history.back() : navigate('standings')
   
   const renderPage = () => {
     switch (activeTab) {
-      case 'standings': return <Standings data={data} />
-      case 'matchups': return <Matchups data={data} />
+      case 'standings': return <Standings data={data} openTeam={openTeam} />
+      case 'matchups': return <Matchups data={data} openTeam={openTeam} week={Number(route.param) || data.currentWeek || 1} setWeek={(w) => navigate('matchups', w)} />
+      case 'team': return <TeamPage data={data} rosterId={Number(route.param)} onBack={goBack} />
       case 'awards': return <Awards data={data} />
-      case 'chat': return <AIChat />
+      case 'history': return <History setActiveTab={setActiveTab} />
+      case 'rivalry': return <Rivalry data={data} />
+      case 'transactions': return <Transactions data={data} />
+      case 'draft': return <DraftBoard data={data} />
+      case 'ledger': return <Ledger data={data} />
+      case 'more': return <More setActiveTab={setActiveTab} />
+      case 'chat': return <AIChat data={data} />
+      case 'settings': return <Settings config={config} onConfigChange={onConfigChange} />
+      case 'alerts': return <NotificationCenter data={data} config={config} onConfigChange={onConfigChange} />
       default: return <Dashboard data={data} setActiveTab={setActiveTab} />
     }
   }
@@ -547,6 +4621,7 @@ export default function App() {
       <style>{`
         @keyframes pulse { 0%, 100% { opacity: 1; } 50% { opacity: 0.4; } }
         @keyframes spin { from { transform: rotate(0deg); } to { transform: rotate(360deg); } }
+        @keyframes flash { 0% { box-shadow: 0 0 0 2px ${colors.warning}; } 100% { box-shadow: 0 0 0 0 transparent; } }
         ::-webkit-scrollbar { width: 4px; }
         ::-webkit-scrollbar-thumb { background: ${colors.navyLight}; border-radius: 2px; }
         input::placeholder { color: ${colors.silver}80; }
@@ -555,17 +4630,35 @@ export default function App() {
       
       <nav style={{ position: 'sticky', top: 0, height: '64px', background: colors.navyDark, borderBottom: `1px solid ${colors.navyLight}40`, display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '0 20px', zIndex: 100 }}>
         <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
-          <img src="/logo1.png" alt="League of Misfits" style={{ height: '40px', width: 'auto' }} />
+          <img src="/logo.png" alt="League of Misfits" style={{ height: '40px', width: 'auto' }} />
           <div>
             <div style={{ fontSize: '15px', fontWeight: 700, color: colors.white, fontFamily: "'Oswald', sans-serif" }}>LEAGUE OF MISFITS</div>
             <div style={{ fontSize: '10px', color: colors.silver, letterSpacing: '1px' }}>EST. 2017</div>
           </div>
         </div>
-        <button onClick={data.refresh} disabled={data.loading} style={{ background: 'none', border: 'none', color: colors.silver, cursor: 'pointer', padding: '8px' }}>
-          <RefreshCw size={20} style={{ animation: data.loading ? 'spin 1s linear infinite' : 'none' }} />
-        </button>
+        <div style={{ display: 'flex', alignItems: 'center' }}>
+          <button onClick={data.refresh} disabled={data.loading} style={{ background: 'none', border: 'none', color: colors.silver, cursor: 'pointer', padding: '8px' }}>
+            <RefreshCw size={20} style={{ animation: data.loading ? 'spin 1s linear infinite' : 'none' }} />
+          </button>
+          <button onClick={() => setActiveTab('alerts')} style={{ position: 'relative', background: 'none', border: 'none', color: activeTab === 'alerts' ? colors.accent : colors.silver, cursor: 'pointer', padding: '8px' }}>
+            <Bell size={20} />
+            {unread > 0 && (
+              <span style={{ position: 'absolute', top: '2px', right: '2px', minWidth: '16px', height: '16px', borderRadius: '8px', background: colors.danger, color: colors.white, fontSize: '10px', fontWeight: 700, display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '0 3px' }}>
+                {unread > 9 ? '9+' : unread}
+              </span>
+            )}
+          </button>
+          <button onClick={() => setActiveTab('settings')} style={{ background: 'none', border: 'none', color: activeTab === 'settings' ? colors.accent : colors.silver, cursor: 'pointer', padding: '8px' }}>
+            <Settings2 size={20} />
+          </button>
+        </div>
       </nav>
       
+      <FreshnessBanner />
+      <ErrorBanner error={data.error} onRetry={data.refresh} />
+      <FallbackBanner fallback={data.fallback} />
+      <TimeTravelBar config={config} onConfigChange={onConfigChange} />
+      
       <div style={{ paddingBottom: '80px' }}>{renderPage()}</div>
       
       <nav style={{ position: 'fixed', bottom: 0, left: 0, right: 0, height: '70px', background: colors.navyDark, borderTop: `1px solid ${colors.navyLight}40`, display: 'flex', justifyContent: 'space-around', alignItems: 'center', zIndex: 100 }}>
@@ -574,13 +4667,17 @@ export default function App() {
           { id: 'standings', icon: Trophy, label: 'Standings' },
           { id: 'matchups', icon: Users, label: 'Matchups' },
           { id: 'awards', icon: Award, label: 'Awards' },
+          { id: 'more', icon: LayoutGrid, label: 'More' },
           { id: 'chat', icon: MessageCircle, label: 'AI' },
-        ].map(({ id, icon: Icon, label }) => (
-          <button key={id} onClick={() => setActiveTab(id)} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '4px', background: 'none', border: 'none', color: activeTab === id ? colors.accent : colors.silver, cursor: 'pointer', padding: '8px 12px' }}>
-            <Icon size={22} strokeWidth={activeTab === id ? 2.5 : 1.5} />
-            <span style={{ fontSize: '10px', fontWeight: activeTab === id ? 600 : 400 }}>{label}</span>
-          </button>
-        ))}
+        ].map(({ id, icon: Icon, label }) => {
+          const active = activeTab === id || (id === 'more' && MORE_PAGES.some(p => p.id === activeTab))
+          return (
+            <button key={id} onClick={() => setActiveTab(id)} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '4px', background: 'none', border: 'none', color: active ? colors.accent : colors.silver, cursor: 'pointer', padding: '8px 12px' }}>
+              <Icon size={22} strokeWidth={active ? 2.5 : 1.5} />
+              <span style={{ fontSize: '10px', fontWeight: active ? 600 : 400 }}>{label}</span>
+            </button>
+          )
+        })}
       </nav>
     </div>
   )
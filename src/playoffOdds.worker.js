@@ -0,0 +1,114 @@
+// ============== PLAYOFF ODDS WORKER ==============
+// Simulates the rest of the regular season off the main thread.
+// Input:  { teams: [{ rosterId, wins, losses, ties, pf, scores }], schedule: [[[rosterA, rosterB], ...], ...],
+//           format: { playoffTeams, divisions, divisionNames }, divisionOf, h2h, byes, medianGame, iterations }
+// Output: { results: [{ rosterId, playoffPct, byePct, avgSeed, seedCounts, avgWins }] } or { error }
+// Seeds come from the same rankStandings() as the Standings table.
+
+import { rankStandings } from './standings.js'
+
+const MIN_SD = 10
+// Games of prior the league average is worth when a team has only a few weeks of history
+const PRIOR_WEIGHT = 2
+
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length
+const stdDev = (xs, m) => Math.sqrt(xs.reduce((sum, x) => sum + (x - m) * (x - m), 0) / Math.max(1, xs.length - 1))
+
+// Box-Muller
+function normal(mu, sigma) {
+  let u = 0
+  while (u === 0) u = Math.random()
+  const v = Math.random()
+  return mu + sigma * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+}
+
+function scoringModels(teams) {
+  const all = teams.flatMap(t => t.scores)
+  const leagueMean = all.length ? mean(all) : 100
+  const leagueSd = all.length > 1 ? Math.max(MIN_SD, stdDev(all, leagueMean)) : 25
+  const models = {}
+  teams.forEach(t => {
+    const n = t.scores.length
+    const teamMean = n ? mean(t.scores) : leagueMean
+    const teamSd = n > 2 ? Math.max(MIN_SD, stdDev(t.scores, teamMean)) : leagueSd
+    models[t.rosterId] = {
+      mu: (n * teamMean + PRIOR_WEIGHT * leagueMean) / (n + PRIOR_WEIGHT),
+      sigma: (n * teamSd + PRIOR_WEIGHT * leagueSd) / (n + PRIOR_WEIGHT)
+    }
+  })
+  return models
+}
+
+// Season-to-date head-to-head plus room for the simulated games
+const copyHeadToHead = (h2h) => Object.fromEntries(Object.entries(h2h).map(([a, row]) =>
+  [a, Object.fromEntries(Object.entries(row).map(([b, rec]) => [b, { ...rec }]))]))
+
+function addResult(h2h, winner, loser) {
+  const record = (a, b) => ((h2h[a] = h2h[a] || {})[b] = h2h[a][b] || { wins: 0, losses: 0, ties: 0 })
+  record(winner, loser).wins++
+  record(loser, winner).losses++
+}
+
+function simulate({ teams, schedule, format, divisionOf, h2h, byes, medianGame, iterations }) {
+  const { playoffTeams } = format
+  const models = scoringModels(teams)
+  const tally = {}
+  teams.forEach(t => { tally[t.rosterId] = { playoffs: 0, byes: 0, seedSum: 0, winSum: 0, seedCounts: Array(teams.length).fill(0) } })
+
+  for (let i = 0; i < iterations; i++) {
+    const records = {}
+    const results = copyHeadToHead(h2h)
+    teams.forEach(t => { records[t.rosterId] = { rosterId: t.rosterId, wins: t.wins, losses: t.losses, ties: t.ties, pf: t.pf } })
+
+    schedule.forEach(games => {
+      const scores = {}
+      games.flat().forEach(id => {
+        if (models[id]) scores[id] = Math.max(0, normal(models[id].mu, models[id].sigma))
+      })
+      games.forEach(([a, b]) => {
+        if (scores[a] == null || scores[b] == null) return
+        records[a].pf += scores[a]
+        records[b].pf += scores[b]
+        if (scores[a] > scores[b]) { records[a].wins++; records[b].losses++; addResult(results, a, b) }
+        else { records[b].wins++; records[a].losses++; addResult(results, b, a) }
+      })
+      // League-median game: top half of the week's scores get an extra win
+      if (medianGame) {
+        const order = Object.keys(scores).sort((x, y) => scores[y] - scores[x])
+        order.forEach((id, rank) => {
+          if (rank < order.length / 2) records[id].wins++
+          else records[id].losses++
+        })
+      }
+    })
+
+    rankStandings(Object.values(records), format, results, divisionOf).forEach((r, seed) => {
+      const t = tally[r.rosterId]
+      t.seedCounts[seed]++
+      t.seedSum += seed + 1
+      t.winSum += r.wins
+      if (seed < playoffTeams) t.playoffs++
+      if (seed < byes) t.byes++
+    })
+  }
+
+  return teams.map(({ rosterId }) => {
+    const t = tally[rosterId]
+    return {
+      rosterId,
+      playoffPct: t.playoffs / iterations,
+      byePct: t.byes / iterations,
+      avgSeed: t.seedSum / iterations,
+      avgWins: t.winSum / iterations,
+      seedCounts: t.seedCounts
+    }
+  })
+}
+
+self.onmessage = (e) => {
+  try {
+    self.postMessage({ id: e.data.id, results: simulate(e.data) })
+  } catch (err) {
+    self.postMessage({ id: e.data.id, error: err.message || String(err) })
+  }
+}
@@ -0,0 +1,66 @@
+// ============== STANDINGS ORDER ==============
+// Seeding shared by the Standings table and the playoff odds worker, so simulated seeds
+// and the table always agree. Rows are { rosterId, wins, losses, ties, pf }.
+// Seeding follows the league's own settings:
+//   1. win percentage (ties count half; median-game results are already in the records)
+//   2. head-to-head among the tied teams, when every one of them has played the others
+//   3. points for, then roster id as the final coin flip
+// With divisions, each division leader takes a top seed ahead of the wild cards.
+
+export const winEquivalents = (t) => t.wins + t.ties / 2
+const winPct = (t) => {
+  const games = t.wins + t.losses + t.ties
+  return games ? winEquivalents(t) / games : 0
+}
+
+// Split a group on a score (highest first), keeping equal scores together
+function partitionBy(group, score) {
+  const groups = []
+  ;[...group].sort((a, b) => score(b) - score(a)).forEach(t => {
+    const last = groups[groups.length - 1]
+    if (last && Math.abs(score(last[0]) - score(t)) < 1e-9) last.push(t)
+    else groups.push([t])
+  })
+  return groups
+}
+
+function breakTies(group, h2h) {
+  if (group.length < 2) return group
+  const games = (a, b) => {
+    const rec = h2h[a.rosterId]?.[b.rosterId]
+    return rec ? rec.wins + rec.losses + rec.ties : 0
+  }
+  const everyoneMet = group.every(a => group.every(b => a === b || games(a, b) > 0))
+  if (everyoneMet) {
+    const h2hPct = (t) => {
+      let won = 0
+      let played = 0
+      group.forEach(o => {
+        const rec = h2h[t.rosterId]?.[o.rosterId]
+        if (o === t || !rec) return
+        won += rec.wins + rec.ties / 2
+        played += rec.wins + rec.losses + rec.ties
+      })
+      return played ? won / played : 0
+    }
+    const split = partitionBy(group, h2hPct)
+    // Head-to-head separated them; each smaller group gets its own head-to-head look
+    if (split.length > 1) return split.flatMap(g => breakTies(g, h2h))
+  }
+  return [...group].sort((a, b) => b.pf - a.pf || a.rosterId - b.rosterId)
+}
+
+const orderTeams = (rows, h2h) => partitionBy(rows, winPct).flatMap(group => breakTies(group, h2h))
+
+export function rankStandings(rows, format, h2h, divisionOf) {
+  let ordered
+  if (format.divisions) {
+    const leaders = Object.keys(format.divisionNames).map(Number)
+      .map(d => orderTeams(rows.filter(t => divisionOf[t.rosterId] === d), h2h)[0])
+      .filter(Boolean)
+    ordered = [...orderTeams(leaders, h2h), ...orderTeams(rows.filter(t => !leaders.includes(t)), h2h)]
+  } else {
+    ordered = orderTeams(rows, h2h)
+  }
+  return ordered.map((t, i) => ({ ...t, rank: i + 1 }))
+}
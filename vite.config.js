@@ -1,6 +1,17 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Writes precache.json listing every built file (hashed bundles, CSS, the odds worker)
+// so the service worker can cache the whole app on install, before it controls a page
+const precacheManifest = () => ({
+  name: 'precache-manifest',
+  apply: 'build',
+  generateBundle(_, bundle) {
+    const files = Object.keys(bundle).filter(file => !file.endsWith('.map')).map(file => `/${file}`)
+    this.emitFile({ type: 'asset', fileName: 'precache.json', source: JSON.stringify(files) })
+  }
+})
+
 export default defineConfig({
-  plugins: [react()]
+  plugins: [react(), precacheManifest()]
 })